@@ -0,0 +1,4873 @@
+/**
+ * Cross-Channel Reply Blocker Bot - update processing core
+ * 
+ * Everything that turns a Telegram update into moderation actions: detection,
+ * group settings, commands, storage and Bot API calls. The core is runtime-neutral
+ * and is shared by the Cloudflare Workers entry (worker.js) and the long-polling
+ * entry for Node (polling.js).
+ * 
+ * @version 1.0.0
+ * @author SCSHIRKER
+ * @license MIT
+ */
+
+// Configuration constants
+export const CONFIG = {
+  TELEGRAM_API_URL: 'https://api.telegram.org', // Overridden by env.TELEGRAM_API_URL (e.g. a local Bot API server)
+  DEFAULT_LANGUAGE: 'zh', // Language used when nothing better is known
+  FALLBACK_LANGUAGE: 'en', // Language used for unsupported language codes
+  WARNING_AUTO_DELETE_DELAY: 10000, // 10 seconds in milliseconds
+  REQUEST_TIMEOUT: 30000, // 30 seconds timeout for HTTP requests
+  MAX_RETRIES: 3, // Maximum retry attempts for failed requests
+  CACHE_TTL: 300000, // 5 minutes cache TTL for chat info
+  RATE_LIMIT_WINDOW: 60000, // 1 minute rate limiting window
+  MAX_REQUESTS_PER_WINDOW: 30, // Maximum requests per rate limit window
+  SETTINGS_CACHE_TTL: 60000, // 1 minute cache TTL for per-group settings
+  BOT_INFO_CACHE_TTL: 3600000, // 1 hour cache TTL for getMe result
+  ADMIN_CACHE_TTL: 600000, // 10 minutes cache TTL for chat administrator lists
+  DELETION_BATCH_SIZE: 200, // Maximum pending deletions handled per scheduled run
+  DELETION_MAX_ATTEMPTS: 5, // Give up on a pending deletion after this many failures
+  DELETION_RETRY_DELAY: 60000, // 1 minute before retrying a failed pending deletion
+  STATS_FLUSH_INTERVAL: 60000, // Flush buffered statistics to KV at most once a minute
+  STATS_RETENTION_DAYS: 90, // Keep daily statistics for 90 days
+  STATS_MAX_DAYS: 30, // Longest period /stats can report
+  MONITOR_RETENTION_DAYS: 7, // Keep monitor-mode decisions for 7 days
+  MONITOR_SUMMARY_MAX_ITEMS: 20, // Decisions listed individually in a monitor summary
+  MEDIA_GROUP_WAIT: 1500, // Wait for the other items of an album before deleting it
+  MEDIA_GROUP_TTL: 60000, // Forget album items after 1 minute
+  WARNING_COALESCE_WINDOW: 60000, // Edit a user's recent warning instead of posting a new one within 1 minute
+  APPEAL_TTL: 86400000, // Warning buttons can restore messages or allow channels for 1 day
+  POLL_TIMEOUT: 25, // getUpdates long-poll timeout in seconds (must stay below REQUEST_TIMEOUT)
+  POLL_RETRY_DELAY: 5000, // Wait before polling again after getUpdates failed
+  SCHEDULED_INTERVAL: 60000, // Run the periodic tasks every minute when polling (the Cron trigger on Workers)
+  SHUTDOWN_TIMEOUT: 10000, // Longest wait for background tasks when the polling entry stops
+  UPDATE_DEDUPE_TTL: 600000, // Remember received webhook update_ids for 10 minutes
+  SELF_CHECK_INTERVAL: 300000, // Run the webhook self-check every 5 minutes
+  SELF_CHECK_MAX_PENDING: 100, // Alert when more updates than this are waiting for the webhook
+  SELF_CHECK_ERROR_WINDOW: 600000, // Alert on webhook errors reported in the last 10 minutes
+  REPORT_LIMIT: 3, // /report commands a member can send per REPORT_WINDOW
+  REPORT_WINDOW: 600000, // 10 minutes /report rate limiting window
+  SCHEDULE_MAX_WINDOWS: 10, // Enforcement windows a group can define with /schedule
+  RELAX_MAX_DURATION: 604800000 // /relax can pause enforcement for at most 7 days
+};
+
+/**
+ * Per-chat statistics counters. Counters are buffered in memory and flushed to the
+ * shared state store as `stats:<chat_id>:<YYYY-MM-DD>` (daily, for /stats) and
+ * `stats_total:<chat_id>` (lifetime, for /metrics). Detections are counted as `detected_<replyType>`.
+ */
+export const STAT_COUNTERS = {
+  inspected: { metric: 'ccrbb_messages_inspected_total', help: 'Group messages inspected' },
+  deleted: { metric: 'ccrbb_deletions_total', help: 'Cross-channel replies deleted' },
+  delete_failed: { metric: 'ccrbb_deletion_failures_total', help: 'Cross-channel replies that could not be deleted' },
+  linked_allowed: { metric: 'ccrbb_linked_replies_allowed_total', help: 'Replies to linked or allowlisted channels let through' },
+  warnings_sent: { metric: 'ccrbb_warnings_sent_total', help: 'Warning messages sent' },
+  exempted: { metric: 'ccrbb_exempted_total', help: 'External cross-channel replies let through because the sender is exempt' },
+  monitored: { metric: 'ccrbb_monitored_total', help: 'External cross-channel replies that would have been deleted in monitor mode' },
+  rule_allowed: { metric: 'ccrbb_rule_allowed_total', help: 'External cross-channel replies let through by their rule action, an enforcement window or /relax' },
+  logged: { metric: 'ccrbb_logged_total', help: 'External cross-channel replies only reported to the log chat (rule action, enforcement window or /relax)' },
+  reports: { metric: 'ccrbb_reports_total', help: 'Messages reported by members with /report' },
+  reports_confirmed: { metric: 'ccrbb_reports_confirmed_total', help: 'Reported messages removed as external cross-channel replies' }
+};
+
+// Placeholders available in warning templates (see buildWarningValues)
+const WARNING_PLACEHOLDERS = ['user_mention', 'user_name', 'channel_title', 'channel_link', 'reply_type', 'strike_count', 'strike_notice'];
+
+/**
+ * Per-group settings schema. Admins override these defaults with /ccrbb_set;
+ * overrides are persisted in the BOT_KV namespace under `settings:<chat_id>`.
+ * Descriptions live in MESSAGES under `setting_<name>`; internal settings are
+ * maintained by the bot itself and hidden from admins.
+ */
+const GROUP_SETTINGS_SCHEMA = {
+  mode: {
+    type: 'enum',
+    values: ['enforce', 'monitor', 'off'],
+    default: 'enforce',
+    managedBy: '/mode'
+  },
+  enforcement_windows: {
+    type: 'windows',
+    default: [], // Weekly windows ({ days, start, end, action }) in which enforcement is relaxed
+    managedBy: '/schedule'
+  },
+  timezone: {
+    type: 'timezone',
+    default: 'UTC', // IANA time zone of the enforcement windows
+    managedBy: '/schedule'
+  },
+  monitor_summary: {
+    type: 'integer',
+    default: 0, // Hours between monitor-mode summaries, 0 = no summaries
+    min: 0,
+    max: 168
+  },
+  detect_sender_chat_post: {
+    type: 'boolean',
+    default: true
+  },
+  detect_channel_forward: {
+    type: 'boolean',
+    default: false
+  },
+  detect_channel_link: {
+    type: 'boolean',
+    default: false
+  },
+  detect_external_quote: {
+    type: 'boolean',
+    default: true
+  },
+  detect_external_reply: {
+    type: 'boolean',
+    default: true
+  },
+  detect_story_reply: {
+    type: 'boolean',
+    default: true
+  },
+  detect_forward_from_channel: {
+    type: 'boolean',
+    default: true
+  },
+  detect_sender_chat_channel: {
+    type: 'boolean',
+    default: true
+  },
+  detect_hidden_forward: {
+    type: 'boolean',
+    default: true
+  },
+  detect_channel_signature: {
+    type: 'boolean',
+    default: true
+  },
+  rule_actions: {
+    type: 'rule_actions',
+    default: {}, // Action per rule ID or severity, unset = delete
+    managedBy: '/rule'
+  },
+  warning_enabled: {
+    type: 'boolean',
+    default: true
+  },
+  warning_text: {
+    type: 'string',
+    default: null, // Built-in template in the group language
+    maxLength: 1024,
+    placeholders: WARNING_PLACEHOLDERS
+  },
+  warning_delay: {
+    type: 'integer',
+    default: CONFIG.WARNING_AUTO_DELETE_DELAY / 1000,
+    min: 0,
+    max: 86400
+  },
+  warning_buttons: {
+    type: 'boolean',
+    default: true
+  },
+  allowed_channels: {
+    type: 'channel_list',
+    default: [],
+    managedBy: '/allow, /unallow'
+  },
+  blocked_channels: {
+    type: 'channel_list',
+    default: [],
+    managedBy: '/block, /unblock'
+  },
+  trusted_users: {
+    type: 'user_list',
+    default: [],
+    managedBy: '/trust, /untrust'
+  },
+  strike_window: {
+    type: 'integer',
+    default: 24,
+    min: 1,
+    max: 720
+  },
+  mute_after: {
+    type: 'integer',
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  mute_duration: {
+    type: 'integer',
+    default: 60,
+    min: 1,
+    max: 525600
+  },
+  ban_after: {
+    type: 'integer',
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  ban_sender_chat: {
+    type: 'boolean',
+    default: false
+  },
+  log_chat_id: {
+    type: 'chat_id',
+    default: null,
+    managedBy: '/setlog'
+  },
+  language: {
+    type: 'language',
+    default: null, // Follow detected_language
+    managedBy: '/lang'
+  },
+  detected_language: {
+    type: 'language',
+    default: null, // Recorded from the language_code of the first admin using a command
+    internal: true
+  },
+  relax: {
+    type: 'relax',
+    default: null, // Temporary relaxation ({ until, action }) set by /relax
+    internal: true
+  }
+};
+
+/**
+ * User-facing message catalog. Keys missing from a language fall back to
+ * CONFIG.DEFAULT_LANGUAGE; `{name}` placeholders are filled in by t().
+ */
+const MESSAGES = {
+  zh: {
+    language_name: '中文',
+    warning: '⚠️ {user_mention} 本群禁止跨频道回复内容\n{strike_notice}',
+    warning_counter: '（已拦截 {count} 次）',
+    start: `🤖 跨频道回复拦截机器人
+
+📋 **功能说明**
+本机器人可以自动删除 Telegram 群组中的跨频道回复消息，区分已关联频道（允许）和外部频道（禁止）。
+
+🔧 **使用方法**
+• 将机器人拉进群组
+• 设置为管理员并给予"删除消息"和"发送消息"权限
+• 无需任何其他配置，机器人自动开始工作
+
+📖 **开源仓库**
+https://github.com/SCSHIRKER/ccrbb
+
+👨‍💻 **作者**
+@as24400
+
+💡 **原理**
+机器人会自动区分关联频道回复（允许）和外部频道回复（删除并警告）。`,
+    private_help: `❓ 请发送 /start 查看使用说明
+
+或者直接将我添加到群组中并设为管理员即可开始使用。`,
+    admin_only: '🚫 只有群组管理员可以使用此命令',
+    command_failed: '❌ 命令执行失败，请稍后重试',
+    settings_title: '⚙️ 当前群组设置（* 表示已修改）',
+    settings_footer: '修改：/ccrbb_set <名称> <值>\n恢复默认：/ccrbb_reset [名称]',
+    set_usage: '用法：/ccrbb_set <名称> <值>\n可用名称：{keys}',
+    setting_updated: '✅ {key} = {value}',
+    settings_reset_all: '✅ 所有设置已恢复默认值',
+    setting_reset: '✅ {key} 已恢复默认值：{value}',
+    setting_unknown: '未知设置：{key}',
+    setting_managed: '{key} 请使用 {commands} 命令管理',
+    setting_boolean: '{key} 只能是 on 或 off',
+    setting_integer: '{key} 必须是 {min} 到 {max} 之间的整数',
+    setting_too_long: '{key} 不能超过 {max} 个字符',
+    setting_type_unsupported: '不支持的设置类型：{type}',
+    setting_placeholder_unknown: '{key} 包含未知占位符：{names}\n可用占位符：{available}',
+    value_items: '{count} 项',
+    value_unset: '未设置',
+    setting_detect_sender_chat_post: '拦截成员以外部频道身份发送的消息',
+    setting_detect_channel_forward: '拦截直接转发到群组的频道消息',
+    setting_detect_channel_link: '拦截包含频道消息链接（t.me/频道/编号）的消息',
+    setting_detect_external_quote: '拦截引用外部频道消息的回复（关闭后允许引用）',
+    setting_detect_external_reply: '拦截回复外部频道消息的消息',
+    setting_detect_story_reply: '拦截回复频道快拍（Story）的消息',
+    setting_detect_forward_from_channel: '拦截回复频道转发消息的消息',
+    setting_detect_sender_chat_channel: '拦截回复以频道身份发送的消息的消息',
+    setting_detect_hidden_forward: '拦截回复非频道来源（用户、隐藏来源、其他群组）转发消息的消息',
+    setting_detect_channel_signature: '拦截回复只有频道签名的转发消息的消息',
+    setting_rule_actions: '各规则的处理方式',
+    setting_enforcement_windows: '每周放宽拦截的时段',
+    setting_timezone: '放宽时段使用的时区',
+    setting_warning_enabled: '删除后是否发送警告消息',
+    setting_warning_text: '警告消息模板（HTML，未设置时使用内置模板），可用占位符：{placeholders}',
+    setting_mode: '运行模式：enforce 拦截，monitor 仅记录，off 停用',
+    setting_monitor_summary: 'monitor 模式下每隔多少小时发送一次汇总（0 表示不发送）',
+    setting_warning_delay: '警告消息自动删除延迟（秒，0 表示不删除）',
+    setting_warning_buttons: '在警告消息上（设置日志聊天时在审计日志上）显示“恢复”和“允许此频道”按钮（仅管理员可用）',
+    setting_allowed_channels: '允许回复的频道（关联频道之外）',
+    setting_blocked_channels: '始终拦截的频道（包括关联频道）',
+    setting_trusted_users: '不受拦截的受信任成员（管理员始终不受拦截）',
+    setting_strike_window: '违规记录保留时间（小时），超时后自动清零',
+    setting_mute_after: '达到多少次违规后禁言（0 表示不禁言）',
+    setting_mute_duration: '禁言时长（分钟）',
+    setting_ban_after: '达到多少次违规后封禁（0 表示不封禁）',
+    setting_ban_sender_chat: '以外部频道身份发言时，同时封禁该频道（需要封禁用户权限）',
+    setting_log_chat_id: '审计日志发送到的聊天',
+    setting_language: '群组语言（未设置时跟随管理员语言）',
+    channel_usage: '用法：/allow | /unallow | /block | /unblock <@频道用户名 | -100频道ID | t.me/频道>',
+    list_allowed: '允许列表',
+    list_blocked: '拦截列表',
+    channel_already_listed: 'ℹ️ {channel} 已在{list}中',
+    channel_added: '✅ 已将 {channel} 加入{list}',
+    channel_not_listed: 'ℹ️ {channel} 不在{list}中',
+    channel_removed: '✅ 已将 {channel} 移出{list}',
+    list_overview: '🔗 关联频道：{linked}\n\n✅ 允许列表：\n{allowed}\n\n🚫 拦截列表：\n{blocked}',
+    list_empty: '（空）',
+    linked_none: '（无）',
+    strikes_usage: '用法：回复成员的消息发送 /strikes，或 /strikes <@用户名 | 用户ID>',
+    strikes_status: '📊 {user} 在最近 {hours} 小时内有 {count} 次违规',
+    pardon_usage: '用法：回复成员的消息发送 /pardon，或 /pardon <@用户名 | 用户ID>',
+    pardoned: '✅ 已清除 {user} 的违规记录',
+    trust_usage: '用法：回复成员的消息发送 /trust 或 /untrust，或 /trust <@用户名 | 用户ID>',
+    trust_list: '🤝 受信任成员（管理员始终不受拦截）：\n{users}',
+    trust_already: 'ℹ️ {user} 已是受信任成员',
+    trust_added: '✅ 已将 {user} 设为受信任成员，其消息将不再被拦截',
+    trust_not_listed: 'ℹ️ {user} 不是受信任成员',
+    trust_removed: '✅ 已取消 {user} 的受信任成员身份',
+    setlog_disabled: '✅ 已关闭审计日志',
+    setlog_status_set: '当前日志聊天：{chat}',
+    setlog_status_unset: '当前未设置日志聊天',
+    setlog_help: '📝 {status}\n\n在日志群组中（或私聊机器人）发送 /setlog {chat_id} 即可设置，发送 /setlog off 关闭。',
+    setlog_usage: '用法：在日志聊天中发送 /setlog <群组ID>',
+    setlog_same_chat: '❌ 日志聊天不能是群组本身',
+    setlog_not_admin: '🚫 你不是群组 {chat_id} 的管理员，或机器人不在该群组中',
+    setlog_done: '✅ 群组 {chat_id} 的审计日志将发送到此聊天',
+    strike_count: '第 {count} 次违规',
+    strike_muted: '，已禁言 {minutes} 分钟',
+    strike_banned: '，已被移出群组',
+    audit_deleted: '🗑️ <b>已删除跨频道回复</b>',
+    audit_failed: '❌ <b>删除跨频道回复失败</b>',
+    audit_group: '群组：{value}',
+    audit_user: '用户：{value}',
+    audit_content: '内容：{value}',
+    audit_type: '类型：{value}',
+    audit_channel: '频道：{value}',
+    audit_edited: '编辑消息：{value}',
+    audit_strikes: '违规次数：{value}',
+    audit_sender_chat_banned: '已封禁该频道，它无法再在本群发言',
+    audit_warned: '⚠️ <b>已警告跨频道回复（未删除）</b>',
+    audit_logged: '📝 <b>发现跨频道回复（仅记录）</b>',
+    reply_type_external_quote: '引用外部频道消息',
+    reply_type_story_reply: '回复频道快拍',
+    reply_type_channel_forward: '转发频道消息',
+    reply_type_channel_link: '发送频道消息链接',
+    reply_type_external_reply: '回复外部频道消息',
+    reply_type_forward_from_channel: '回复频道转发的消息',
+    reply_type_sender_chat_channel: '回复频道发送的消息',
+    reply_type_sender_chat_post: '以频道身份发送消息',
+    reply_type_hidden_forward: '回复非频道来源的转发消息',
+    reply_type_channel_signature: '回复带频道签名的消息',
+    yes: '是',
+    no: '否',
+    unknown_sender: '未知',
+    lang_status: '🌐 当前语言：{lang}（{source}）\n可用语言：{available}\n\n设置：/lang <代码>\n跟随管理员语言：/lang auto',
+    lang_source_manual: '手动设置',
+    lang_source_auto: '跟随管理员语言',
+    lang_source_default: '默认',
+    lang_set: '✅ 群组语言已设置为 {lang}',
+    lang_auto: '✅ 群组语言将跟随管理员语言',
+    mode_status: '⚙️ 当前模式：{mode}\n\n• enforce - 删除跨频道回复并发送警告\n• monitor - 只记录将被删除的消息，不做任何处理\n• off - 停用拦截\n\n用法：/mode <enforce|monitor|off>',
+    mode_set_enforce: '✅ 已切换到 enforce 模式，跨频道回复将被删除',
+    mode_set_monitor: '✅ 已切换到 monitor 模式，机器人只记录将被删除的消息{summary}',
+    mode_set_off: '✅ 已停用拦截',
+    mode_summary_hint: '\n使用 /ccrbb_set monitor_summary <小时> 定期接收汇总',
+    mode_summary_every: '\n每 {hours} 小时发送一次汇总',
+    mode_summary_needs_log: '\n汇总只发送到审计日志聊天，请先使用 /setlog 设置',
+    mode_unknown: '❌ 未知模式：{mode}\n用法：/mode <enforce|monitor|off>',
+    monitor_summary_title: '👀 monitor 模式汇总：过去 {hours} 小时内有 {count} 条消息将被删除',
+    monitor_summary_more: '…另有 {count} 条',
+    stats_usage: '用法：/stats [天数，1-{max}]',
+    stats_title: '📊 最近 {days} 天统计',
+    stat_inspected: '检查消息：{count}',
+    stat_detected: '跨频道回复：{count}',
+    stat_linked_allowed: '放行（关联/允许频道）：{count}',
+    stat_deleted: '已删除：{count}',
+    stat_delete_failed: '删除失败：{count}',
+    stat_warnings_sent: '已发送警告：{count}',
+    stat_reports: '成员举报：{count}（确认并删除 {confirmed}）',
+    stat_exempted: '放行（管理员/受信任成员）：{count}',
+    stat_monitored: '仅记录（monitor 模式）：{count}',
+    stat_rule_allowed: '放行（规则、放宽时段或 /relax 为 allow）：{count}',
+    stat_logged: '仅写入日志（规则、放宽时段或 /relax 为 log）：{count}',
+    onboarding: '👋 感谢添加！我会删除本群中回复外部频道内容的消息，关联频道的回复不受影响。\n\n• 管理员发送 /ccrbb_settings 查看设置\n• 想先试运行可发送 /mode monitor，只记录不删除',
+    rights_missing: '⚠️ 我缺少以下管理员权限，请在群组管理员设置中授予：\n{rights}',
+    rights_ok: '✅ 管理员权限已就绪，我会开始拦截跨频道回复',
+    right_can_delete_messages: '• 删除消息 - 没有此权限无法删除跨频道回复',
+    right_can_restrict_members: '• 封禁用户 - 没有此权限无法禁言或封禁违规成员',
+    button_restore: '↩️ 恢复（管理员）',
+    button_allow: '✅ 允许此频道（管理员）',
+    restored_from: '↩️ {user} 的消息（已由管理员恢复）：',
+    appeal_restored: '↩️ 已恢复 {count} 条消息',
+    appeal_allowed: '✅ 已将 {channels} 加入允许列表',
+    appeal_nothing: 'ℹ️ 没有需要处理的内容',
+    appeal_expired: '⌛ 此警告的按钮已过期',
+    appeal_log: '🛠️ {admin} 在 {group} 中处理了警告：{result}',
+    self_check_alert: '🚨 机器人自检发现问题：\n{problems}',
+    self_check_recovered: '✅ 机器人自检已恢复正常',
+    check_get_me_failed: '• getMe 调用失败，请检查 BOT_TOKEN',
+    check_webhook_info_failed: '• getWebhookInfo 调用失败',
+    check_webhook_missing: '• 未设置 webhook（应为 {expected}），请重新访问 /setup',
+    check_webhook_url_mismatch: '• webhook 地址为 {url}，应为 {expected}',
+    check_pending_updates: '• 有 {count} 个更新等待处理',
+    check_webhook_error: '• 最近的 webhook 错误（{date}）：{message}',
+    command_start: '开始使用与帮助',
+    command_setlog: '设置审计日志聊天',
+    command_ccrbb_settings: '查看本群设置',
+    command_ccrbb_set: '修改设置',
+    command_ccrbb_reset: '恢复默认设置',
+    command_allow: '将频道加入允许列表',
+    command_unallow: '将频道移出允许列表',
+    command_block: '将频道加入拦截列表',
+    command_unblock: '将频道移出拦截列表',
+    command_listallowed: '查看频道列表',
+    command_strikes: '查看成员违规次数',
+    command_pardon: '清除成员违规记录',
+    command_trust: '设为受信任成员',
+    command_untrust: '取消受信任成员',
+    command_lang: '设置群组语言',
+    command_mode: '切换运行模式',
+    command_stats: '查看统计',
+    command_rule: '查看或调整检测规则',
+    command_report: '向管理员举报消息（回复该消息发送）',
+    command_schedule: '设置定时放宽时段',
+    command_relax: '临时暂停拦截',
+    schedule_title: '⏰ 定时放宽时段（时区 {timezone}）',
+    schedule_empty: '未设置时段',
+    schedule_line: '{index}. {days} {start}-{end} → {action}',
+    schedule_state_enforcing: '当前：正常拦截',
+    schedule_state_window: '当前：时段 {index} 生效中（{action}）',
+    schedule_state_relax: '当前：已通过 /relax 暂停至 {until}（{action}）',
+    schedule_footer: '时段内跨频道回复被放行（allow）或只写入日志（log），拦截列表中的频道仍会被删除。\n\n用法：\n/schedule add <日期> <HH:MM-HH:MM> [allow|log] - 添加时段，日期如 mon-fri、sat,sun、daily\n/schedule remove <编号> - 删除时段\n/schedule clear - 删除全部时段\n/schedule tz <时区> - 设置时区，如 Asia/Shanghai',
+    schedule_usage: '用法：/schedule add <日期> <HH:MM-HH:MM> [allow|log]，/schedule remove <编号>，/schedule clear，/schedule tz <时区>',
+    schedule_added: '✅ 已添加时段 {index}：{days} {start}-{end} → {action}（时区 {timezone}）',
+    schedule_removed: '✅ 已删除时段 {index}',
+    schedule_cleared: '✅ 已删除全部时段',
+    schedule_not_found: '❌ 没有编号为 {index} 的时段',
+    schedule_limit: '❌ 最多只能设置 {max} 个时段',
+    schedule_timezone_set: '✅ 时区已设为 {timezone}，当地时间 {now}',
+    schedule_timezone_invalid: '❌ 未知时区：{timezone}\n请使用 IANA 时区名称，如 Asia/Shanghai、Europe/Moscow、UTC',
+    relax_status: '⏸️ 拦截已暂停至 {until}（{timezone}），期间{action}\n发送 /relax off 立即恢复',
+    relax_status_off: '▶️ 拦截正常运行中\n\n用法：/relax <时长> [allow|log]，如 /relax 2h、/relax 30m log；/relax off 立即恢复',
+    relax_set: '⏸️ 已暂停拦截，期间{action}，将在 {until}（{timezone}）自动恢复',
+    relax_off: '▶️ 已恢复拦截',
+    window_action_allow: '跨频道回复被放行',
+    window_action_log: '跨频道回复只写入日志',
+    relax_usage: '用法：/relax <时长> [allow|log]，时长如 30m、2h、1d，最长 {max} 天；/relax off 立即恢复',
+    report_usage: '请回复要举报的消息并发送 /report',
+    report_rate_limited: '⏳ 举报太频繁了，请稍后再试',
+    report_sent: '🚩 感谢举报，已通知管理员',
+    report_admins: '🚩 {reporter} 举报了这条消息，请管理员处理',
+    report_title: '🚩 <b>成员举报</b>',
+    report_reporter: '举报人：{value}',
+    report_reason: '理由：{value}',
+    report_link: '消息：{value}',
+    report_result: '检查结果：{value}',
+    report_no_match: '未发现跨频道内容',
+    rule_title: '📐 检测规则（按顺序执行）',
+    rule_line_on: '✅ {rule} [{severity}] → {action}\n  {description}',
+    rule_line_off: '⏸️ {rule} [{severity}] 已关闭\n  {description}',
+    rule_severity_line: '• {severity} → {action}',
+    rule_severity_title: '按严重程度：',
+    rule_footer: '处理方式：allow 放行，monitor 仅记录，log 只发送到日志，warn 只警告，delete 删除并警告，mute 删除并禁言\n\n用法：\n/rule <规则> on|off - 开启或关闭规则\n/rule <规则|high|medium|low> <处理方式> - 设置处理方式\n/rule <规则|high|medium|low> default - 恢复默认（delete）',
+    rule_unknown: '❌ 未知规则：{rule}\n可用规则：{available}',
+    rule_usage: '用法：/rule <规则> on|off，或 /rule <规则|high|medium|low> <allow|monitor|log|warn|delete|mute|default>',
+    rule_enabled: '✅ 已开启规则 {rule}',
+    rule_disabled: '⏸️ 已关闭规则 {rule}',
+    rule_action_set: '✅ {rule} → {action}',
+    rule_action_reset: '✅ {rule} 已恢复默认处理方式',
+    lang_unknown: '❌ 不支持的语言：{lang}\n可用语言：{available}'
+  },
+  en: {
+    language_name: 'English',
+    warning: '⚠️ {user_mention}, replying with content from other channels is not allowed in this group\n{strike_notice}',
+    warning_counter: '(blocked {count} times)',
+    start: `🤖 Cross-Channel Reply Blocker Bot
+
+📋 **What it does**
+This bot automatically deletes cross-channel replies in Telegram groups. Replies to the group's linked channel are allowed, replies to external channels are removed.
+
+🔧 **How to use**
+• Add the bot to your group
+• Make it an admin with the "Delete messages" and "Send messages" rights
+• No further setup is needed, the bot starts working right away
+
+📖 **Source code**
+https://github.com/SCSHIRKER/ccrbb
+
+👨‍💻 **Author**
+@as24400
+
+💡 **How it works**
+The bot tells linked channel replies (allowed) apart from external channel replies (deleted with a warning).`,
+    private_help: `❓ Send /start to see how to use this bot
+
+Or simply add me to a group and make me an admin to get started.`,
+    admin_only: '🚫 Only group administrators can use this command',
+    command_failed: '❌ The command failed, please try again later',
+    settings_title: '⚙️ Group settings (* = changed)',
+    settings_footer: 'Change: /ccrbb_set <name> <value>\nRestore defaults: /ccrbb_reset [name]',
+    set_usage: 'Usage: /ccrbb_set <name> <value>\nAvailable names: {keys}',
+    setting_updated: '✅ {key} = {value}',
+    settings_reset_all: '✅ All settings restored to their defaults',
+    setting_reset: '✅ {key} restored to its default: {value}',
+    setting_unknown: 'Unknown setting: {key}',
+    setting_managed: '{key} is managed with {commands}',
+    setting_boolean: '{key} must be on or off',
+    setting_integer: '{key} must be a whole number from {min} to {max}',
+    setting_too_long: '{key} must be at most {max} characters',
+    setting_type_unsupported: 'Unsupported setting type: {type}',
+    setting_placeholder_unknown: '{key} contains unknown placeholders: {names}\nAvailable placeholders: {available}',
+    value_items: '{count} item(s)',
+    value_unset: 'not set',
+    setting_detect_sender_chat_post: 'Block messages members send as an external channel',
+    setting_detect_channel_forward: 'Block channel posts forwarded into the group',
+    setting_detect_channel_link: 'Block messages linking to channel posts (t.me/channel/123)',
+    setting_detect_external_quote: 'Block replies quoting an external channel post (off = allow quotes)',
+    setting_detect_external_reply: 'Block replies to external channel posts',
+    setting_detect_story_reply: 'Block replies to channel stories',
+    setting_detect_forward_from_channel: 'Block replies to messages forwarded from a channel',
+    setting_detect_sender_chat_channel: 'Block replies to messages sent as a channel',
+    setting_detect_hidden_forward: 'Block replies to forwards not from a channel (users, hidden origin, other groups)',
+    setting_detect_channel_signature: 'Block replies to forwards that only carry a channel signature',
+    setting_rule_actions: 'Action taken per rule',
+    setting_enforcement_windows: 'Weekly windows with relaxed enforcement',
+    setting_timezone: 'Time zone of the enforcement windows',
+    setting_warning_enabled: 'Send a warning after deleting a message',
+    setting_warning_text: 'Warning template (HTML; built-in template when not set), placeholders: {placeholders}',
+    setting_mode: 'Mode: enforce removes, monitor only records, off disables',
+    setting_monitor_summary: 'Send a summary every N hours in monitor mode (0 = never)',
+    setting_warning_delay: 'Delete the warning after this many seconds (0 = keep it)',
+    setting_warning_buttons: 'Show "Restore" and "Allow this channel" buttons on warnings, or on audit log entries when a log chat is set (admins only)',
+    setting_allowed_channels: 'Channels allowed besides the linked channel',
+    setting_blocked_channels: 'Channels always blocked (even the linked channel)',
+    setting_trusted_users: 'Trusted members exempt from enforcement (admins are always exempt)',
+    setting_strike_window: 'Hours a strike is remembered before it expires',
+    setting_mute_after: 'Mute a member after this many strikes (0 = never)',
+    setting_mute_duration: 'Mute duration in minutes',
+    setting_ban_after: 'Ban a member after this many strikes (0 = never)',
+    setting_ban_sender_chat: 'Also ban external channels members post as (needs the ban users right)',
+    setting_log_chat_id: 'Chat that receives the audit log',
+    setting_language: 'Group language (follows the admins\' language when not set)',
+    channel_usage: 'Usage: /allow | /unallow | /block | /unblock <@channel | -100channel_id | t.me/channel>',
+    list_allowed: 'allowlist',
+    list_blocked: 'blocklist',
+    channel_already_listed: 'ℹ️ {channel} is already on the {list}',
+    channel_added: '✅ Added {channel} to the {list}',
+    channel_not_listed: 'ℹ️ {channel} is not on the {list}',
+    channel_removed: '✅ Removed {channel} from the {list}',
+    list_overview: '🔗 Linked channel: {linked}\n\n✅ Allowlist:\n{allowed}\n\n🚫 Blocklist:\n{blocked}',
+    list_empty: '(empty)',
+    linked_none: '(none)',
+    strikes_usage: 'Usage: reply to a member\'s message with /strikes, or /strikes <@username | user_id>',
+    strikes_status: '📊 {user} has {count} strike(s) in the last {hours} hour(s)',
+    pardon_usage: 'Usage: reply to a member\'s message with /pardon, or /pardon <@username | user_id>',
+    pardoned: '✅ Cleared the strikes of {user}',
+    trust_usage: 'Usage: reply to a member\'s message with /trust or /untrust, or /trust <@username | user_id>',
+    trust_list: '🤝 Trusted members (admins are always exempt):\n{users}',
+    trust_already: 'ℹ️ {user} is already trusted',
+    trust_added: '✅ {user} is now trusted; their messages will no longer be removed',
+    trust_not_listed: 'ℹ️ {user} is not trusted',
+    trust_removed: '✅ {user} is no longer trusted',
+    setlog_disabled: '✅ Audit log disabled',
+    setlog_status_set: 'Current log chat: {chat}',
+    setlog_status_unset: 'No log chat is set',
+    setlog_help: '📝 {status}\n\nSend /setlog {chat_id} in the log group (or in a private chat with the bot) to set it, or /setlog off here to disable it.',
+    setlog_usage: 'Usage: send /setlog <group_id> in the log chat',
+    setlog_same_chat: '❌ The log chat cannot be the group itself',
+    setlog_not_admin: '🚫 You are not an admin of group {chat_id}, or the bot is not in that group',
+    setlog_done: '✅ The audit log of group {chat_id} will be sent to this chat',
+    strike_count: 'Strike {count}',
+    strike_muted: ', muted for {minutes} minute(s)',
+    strike_banned: ', removed from the group',
+    audit_deleted: '🗑️ <b>Deleted cross-channel reply</b>',
+    audit_failed: '❌ <b>Failed to delete cross-channel reply</b>',
+    audit_group: 'Group: {value}',
+    audit_user: 'User: {value}',
+    audit_content: 'Content: {value}',
+    audit_type: 'Type: {value}',
+    audit_channel: 'Channel: {value}',
+    audit_edited: 'Edited message: {value}',
+    audit_strikes: 'Strikes: {value}',
+    audit_sender_chat_banned: 'The channel was banned and can no longer post here',
+    audit_warned: '⚠️ <b>Warned about a cross-channel reply (not deleted)</b>',
+    audit_logged: '📝 <b>Cross-channel reply found (logged only)</b>',
+    reply_type_external_quote: 'quote of an external channel post',
+    reply_type_story_reply: 'reply to a channel story',
+    reply_type_channel_forward: 'forwarded channel post',
+    reply_type_channel_link: 'link to a channel post',
+    reply_type_external_reply: 'reply to an external channel post',
+    reply_type_forward_from_channel: 'reply to a post forwarded from a channel',
+    reply_type_sender_chat_channel: 'reply to a message sent by a channel',
+    reply_type_sender_chat_post: 'message posted on behalf of a channel',
+    reply_type_hidden_forward: 'reply to a forward not from a channel',
+    reply_type_channel_signature: 'reply to a signed channel post',
+    yes: 'yes',
+    no: 'no',
+    unknown_sender: 'unknown',
+    lang_status: '🌐 Language: {lang} ({source})\nAvailable: {available}\n\nSet: /lang <code>\nFollow the admins\' language: /lang auto',
+    lang_source_manual: 'set manually',
+    lang_source_auto: 'admins\' language',
+    lang_source_default: 'default',
+    lang_set: '✅ Group language set to {lang}',
+    lang_auto: '✅ Group language will follow the admins\' language',
+    mode_status: '⚙️ Current mode: {mode}\n\n• enforce - delete cross-channel replies and warn\n• monitor - only record what would be deleted\n• off - disable enforcement\n\nUsage: /mode <enforce|monitor|off>',
+    mode_set_enforce: '✅ Switched to enforce mode; cross-channel replies will be deleted',
+    mode_set_monitor: '✅ Switched to monitor mode; the bot only records what it would delete{summary}',
+    mode_set_off: '✅ Enforcement disabled',
+    mode_summary_hint: '\nUse /ccrbb_set monitor_summary <hours> to receive periodic summaries',
+    mode_summary_every: '\nA summary is sent every {hours} hour(s)',
+    mode_summary_needs_log: '\nSummaries only go to the audit log chat; set one with /setlog first',
+    mode_unknown: '❌ Unknown mode: {mode}\nUsage: /mode <enforce|monitor|off>',
+    monitor_summary_title: '👀 Monitor mode summary: {count} message(s) would have been deleted in the last {hours} hour(s)',
+    monitor_summary_more: '…and {count} more',
+    stats_usage: 'Usage: /stats [days, 1-{max}]',
+    stats_title: '📊 Statistics for the last {days} day(s)',
+    stat_inspected: 'Messages inspected: {count}',
+    stat_detected: 'Cross-channel replies: {count}',
+    stat_linked_allowed: 'Allowed (linked/allowlisted channels): {count}',
+    stat_deleted: 'Deleted: {count}',
+    stat_delete_failed: 'Failed deletions: {count}',
+    stat_warnings_sent: 'Warnings sent: {count}',
+    stat_reports: 'Member reports: {count} ({confirmed} confirmed and deleted)',
+    stat_exempted: 'Allowed (admins/trusted members): {count}',
+    stat_monitored: 'Recorded only (monitor mode): {count}',
+    stat_rule_allowed: 'Let through (allow by rule, window or /relax): {count}',
+    stat_logged: 'Logged only (log by rule, window or /relax): {count}',
+    onboarding: '👋 Thanks for adding me! I delete messages in this group that reply with content from external channels. Replies to the linked channel are not affected.\n\n• Admins can send /ccrbb_settings to see the settings\n• Send /mode monitor to try me out first: messages are only logged, not deleted',
+    rights_missing: '⚠️ I am missing these admin rights, please grant them in the group\'s administrator settings:\n{rights}',
+    rights_ok: '✅ Admin rights are in place, I will now block cross-channel replies',
+    right_can_delete_messages: '• Delete messages - needed to delete cross-channel replies',
+    right_can_restrict_members: '• Ban users - needed to mute or ban repeat offenders',
+    button_restore: '↩️ Restore (admin)',
+    button_allow: '✅ Allow this channel (admin)',
+    restored_from: '↩️ Message from {user} (restored by an admin):',
+    appeal_restored: '↩️ Restored {count} message(s)',
+    appeal_allowed: '✅ Added {channels} to the allow list',
+    appeal_nothing: 'ℹ️ Nothing left to do',
+    appeal_expired: '⌛ The buttons on this warning have expired',
+    appeal_log: '🛠️ {admin} acted on a warning in {group}: {result}',
+    self_check_alert: '🚨 The bot self-check found problems:\n{problems}',
+    self_check_recovered: '✅ The bot self-check is back to normal',
+    check_get_me_failed: '• getMe failed, check BOT_TOKEN',
+    check_webhook_info_failed: '• getWebhookInfo failed',
+    check_webhook_missing: '• No webhook is set (expected {expected}), call /setup again',
+    check_webhook_url_mismatch: '• The webhook points to {url} instead of {expected}',
+    check_pending_updates: '• {count} updates are waiting to be delivered',
+    check_webhook_error: '• Recent webhook error ({date}): {message}',
+    command_start: 'Get started and help',
+    command_setlog: 'Set the audit log chat',
+    command_ccrbb_settings: 'Show group settings',
+    command_ccrbb_set: 'Change a setting',
+    command_ccrbb_reset: 'Restore default settings',
+    command_allow: 'Add a channel to the allowlist',
+    command_unallow: 'Remove a channel from the allowlist',
+    command_block: 'Add a channel to the blocklist',
+    command_unblock: 'Remove a channel from the blocklist',
+    command_listallowed: 'Show channel lists',
+    command_strikes: 'Show a member\'s strikes',
+    command_pardon: 'Clear a member\'s strikes',
+    command_trust: 'Trust a member',
+    command_untrust: 'Stop trusting a member',
+    command_lang: 'Set the group language',
+    command_mode: 'Switch enforcement mode',
+    command_stats: 'Show statistics',
+    command_rule: 'Show or change detection rules',
+    command_report: 'Report a message to the admins (send as a reply)',
+    command_schedule: 'Set enforcement windows',
+    command_relax: 'Pause enforcement for a while',
+    schedule_title: '⏰ Enforcement windows (time zone {timezone})',
+    schedule_empty: 'No windows set',
+    schedule_line: '{index}. {days} {start}-{end} → {action}',
+    schedule_state_enforcing: 'Now: enforcing',
+    schedule_state_window: 'Now: window {index} is active ({action})',
+    schedule_state_relax: 'Now: paused with /relax until {until} ({action})',
+    schedule_footer: 'During a window cross-channel replies are let through (allow) or only logged (log); blocked channels are still deleted.\n\nUsage:\n/schedule add <days> <HH:MM-HH:MM> [allow|log] - add a window, days like mon-fri, sat,sun or daily\n/schedule remove <number> - remove a window\n/schedule clear - remove all windows\n/schedule tz <time zone> - set the time zone, e.g. Europe/Berlin',
+    schedule_usage: 'Usage: /schedule add <days> <HH:MM-HH:MM> [allow|log], /schedule remove <number>, /schedule clear, /schedule tz <time zone>',
+    schedule_added: '✅ Added window {index}: {days} {start}-{end} → {action} (time zone {timezone})',
+    schedule_removed: '✅ Removed window {index}',
+    schedule_cleared: '✅ Removed all windows',
+    schedule_not_found: '❌ There is no window number {index}',
+    schedule_limit: '❌ A group can have at most {max} windows',
+    schedule_timezone_set: '✅ Time zone set to {timezone}, local time is {now}',
+    schedule_timezone_invalid: '❌ Unknown time zone: {timezone}\nUse an IANA time zone name such as Europe/Berlin, America/New_York or UTC',
+    relax_status: '⏸️ Enforcement is paused until {until} ({timezone}), meanwhile {action}\nSend /relax off to resume now',
+    relax_status_off: '▶️ Enforcement is running\n\nUsage: /relax <duration> [allow|log], e.g. /relax 2h or /relax 30m log; /relax off resumes now',
+    relax_set: '⏸️ Enforcement paused, meanwhile {action}; it resumes automatically at {until} ({timezone})',
+    relax_off: '▶️ Enforcement resumed',
+    window_action_allow: 'cross-channel replies are let through',
+    window_action_log: 'cross-channel replies are only logged',
+    relax_usage: 'Usage: /relax <duration> [allow|log] with a duration like 30m, 2h or 1d (at most {max} days); /relax off resumes now',
+    report_usage: 'Reply to the message you want to report with /report',
+    report_rate_limited: '⏳ Too many reports, please try again later',
+    report_sent: '🚩 Thanks, the admins have been notified',
+    report_admins: '🚩 {reporter} reported this message, admins please take a look',
+    report_title: '🚩 <b>Member report</b>',
+    report_reporter: 'Reported by: {value}',
+    report_reason: 'Reason: {value}',
+    report_link: 'Message: {value}',
+    report_result: 'Check result: {value}',
+    report_no_match: 'no cross-channel content found',
+    rule_title: '📐 Detection rules (checked in order)',
+    rule_line_on: '✅ {rule} [{severity}] → {action}\n  {description}',
+    rule_line_off: '⏸️ {rule} [{severity}] off\n  {description}',
+    rule_severity_line: '• {severity} → {action}',
+    rule_severity_title: 'By severity:',
+    rule_footer: 'Actions: allow lets it through, monitor records it, log only reports it to the log chat, warn only warns, delete deletes and warns, mute deletes and mutes\n\nUsage:\n/rule <rule> on|off - switch a rule on or off\n/rule <rule|high|medium|low> <action> - set the action\n/rule <rule|high|medium|low> default - restore the default (delete)',
+    rule_unknown: '❌ Unknown rule: {rule}\nAvailable rules: {available}',
+    rule_usage: 'Usage: /rule <rule> on|off, or /rule <rule|high|medium|low> <allow|monitor|log|warn|delete|mute|default>',
+    rule_enabled: '✅ Rule {rule} is on',
+    rule_disabled: '⏸️ Rule {rule} is off',
+    rule_action_set: '✅ {rule} → {action}',
+    rule_action_reset: '✅ {rule} uses the default action again',
+    lang_unknown: '❌ Unsupported language: {lang}\nAvailable: {available}'
+  },
+  ru: {
+    language_name: 'Русский',
+    warning: '⚠️ {user_mention}, в этой группе запрещено отвечать контентом из других каналов\n{strike_notice}',
+    warning_counter: '(заблокировано раз: {count})',
+    start: `🤖 Бот блокировки ответов из других каналов
+
+📋 **Что делает бот**
+Бот автоматически удаляет ответы с контентом из других каналов в группах Telegram. Ответы на привязанный канал группы разрешены, ответы на внешние каналы удаляются.
+
+🔧 **Как пользоваться**
+• Добавьте бота в группу
+• Назначьте его администратором с правами «Удаление сообщений» и «Отправка сообщений»
+• Больше ничего настраивать не нужно, бот сразу начинает работать
+
+📖 **Исходный код**
+https://github.com/SCSHIRKER/ccrbb
+
+👨‍💻 **Автор**
+@as24400
+
+💡 **Принцип работы**
+Бот отличает ответы на привязанный канал (разрешены) от ответов на внешние каналы (удаляются с предупреждением).`,
+    private_help: `❓ Отправьте /start, чтобы узнать, как пользоваться ботом
+
+Или просто добавьте меня в группу и назначьте администратором.`,
+    admin_only: '🚫 Эта команда доступна только администраторам группы',
+    command_failed: '❌ Не удалось выполнить команду, попробуйте позже',
+    settings_title: '⚙️ Настройки группы (* = изменено)',
+    settings_footer: 'Изменить: /ccrbb_set <название> <значение>\nСбросить: /ccrbb_reset [название]',
+    set_usage: 'Использование: /ccrbb_set <название> <значение>\nДоступные названия: {keys}',
+    setting_updated: '✅ {key} = {value}',
+    settings_reset_all: '✅ Все настройки сброшены',
+    setting_reset: '✅ {key} сброшено до значения по умолчанию: {value}',
+    setting_unknown: 'Неизвестная настройка: {key}',
+    setting_managed: '{key} управляется командами {commands}',
+    setting_boolean: '{key} может быть только on или off',
+    setting_integer: '{key} должно быть целым числом от {min} до {max}',
+    setting_too_long: '{key} не может быть длиннее {max} символов',
+    setting_type_unsupported: 'Неподдерживаемый тип настройки: {type}',
+    setting_placeholder_unknown: '{key} содержит неизвестные подстановки: {names}\nДоступные подстановки: {available}',
+    value_items: 'элементов: {count}',
+    value_unset: 'не задано',
+    setting_detect_sender_chat_post: 'Блокировать сообщения участников от имени внешнего канала',
+    setting_detect_channel_forward: 'Блокировать пересланные в группу посты каналов',
+    setting_detect_channel_link: 'Блокировать сообщения со ссылками на посты каналов (t.me/канал/123)',
+    setting_detect_external_quote: 'Блокировать ответы с цитатой поста внешнего канала (off = разрешить цитаты)',
+    setting_detect_external_reply: 'Блокировать ответы на посты внешних каналов',
+    setting_detect_story_reply: 'Блокировать ответы на истории каналов',
+    setting_detect_forward_from_channel: 'Блокировать ответы на пересланные из каналов сообщения',
+    setting_detect_sender_chat_channel: 'Блокировать ответы на сообщения от имени канала',
+    setting_detect_hidden_forward: 'Блокировать ответы на пересылки не из каналов (от пользователей, со скрытым источником, из других групп)',
+    setting_detect_channel_signature: 'Блокировать ответы на пересылки только с подписью канала',
+    setting_rule_actions: 'Действие для каждого правила',
+    setting_enforcement_windows: 'Еженедельные окна ослабления правил',
+    setting_timezone: 'Часовой пояс окон ослабления',
+    setting_warning_enabled: 'Отправлять предупреждение после удаления',
+    setting_warning_text: 'Шаблон предупреждения (HTML; если не задан, используется встроенный), подстановки: {placeholders}',
+    setting_mode: 'Режим: enforce удаляет, monitor только записывает, off отключает',
+    setting_monitor_summary: 'Отправлять сводку каждые N часов в режиме monitor (0 = никогда)',
+    setting_warning_delay: 'Удалять предупреждение через N секунд (0 = не удалять)',
+    setting_warning_buttons: 'Показывать кнопки «Восстановить» и «Разрешить канал» под предупреждениями, а при заданном чате журнала — под записями журнала (только для администраторов)',
+    setting_allowed_channels: 'Разрешённые каналы помимо привязанного',
+    setting_blocked_channels: 'Всегда блокируемые каналы (включая привязанный)',
+    setting_trusted_users: 'Доверенные участники, на которых не действуют ограничения (администраторы освобождены всегда)',
+    setting_strike_window: 'Сколько часов хранится нарушение',
+    setting_mute_after: 'Ограничить участника после N нарушений (0 = никогда)',
+    setting_mute_duration: 'Длительность ограничения в минутах',
+    setting_ban_after: 'Заблокировать участника после N нарушений (0 = никогда)',
+    setting_ban_sender_chat: 'Также блокировать внешние каналы, от имени которых пишут участники (нужно право блокировки)',
+    setting_log_chat_id: 'Чат для журнала модерации',
+    setting_language: 'Язык группы (если не задан, используется язык администраторов)',
+    channel_usage: 'Использование: /allow | /unallow | /block | /unblock <@канал | -100id_канала | t.me/канал>',
+    list_allowed: 'белый список',
+    list_blocked: 'чёрный список',
+    channel_already_listed: 'ℹ️ {channel} уже в списке: {list}',
+    channel_added: '✅ {channel} добавлен в список: {list}',
+    channel_not_listed: 'ℹ️ {channel} нет в списке: {list}',
+    channel_removed: '✅ {channel} удалён из списка: {list}',
+    list_overview: '🔗 Привязанный канал: {linked}\n\n✅ Белый список:\n{allowed}\n\n🚫 Чёрный список:\n{blocked}',
+    list_empty: '(пусто)',
+    linked_none: '(нет)',
+    strikes_usage: 'Использование: ответьте на сообщение участника командой /strikes или /strikes <@username | user_id>',
+    strikes_status: '📊 У {user} нарушений за последние {hours} ч: {count}',
+    pardon_usage: 'Использование: ответьте на сообщение участника командой /pardon или /pardon <@username | user_id>',
+    pardoned: '✅ Нарушения {user} сброшены',
+    trust_usage: 'Использование: ответьте на сообщение участника командой /trust или /untrust, или /trust <@username | user_id>',
+    trust_list: '🤝 Доверенные участники (администраторы освобождены всегда):\n{users}',
+    trust_already: 'ℹ️ {user} уже в списке доверенных',
+    trust_added: '✅ {user} добавлен в доверенные, его сообщения больше не будут удаляться',
+    trust_not_listed: 'ℹ️ {user} нет в списке доверенных',
+    trust_removed: '✅ {user} удалён из доверенных',
+    setlog_disabled: '✅ Журнал модерации отключён',
+    setlog_status_set: 'Текущий чат журнала: {chat}',
+    setlog_status_unset: 'Чат журнала не задан',
+    setlog_help: '📝 {status}\n\nОтправьте /setlog {chat_id} в группе журнала (или в личном чате с ботом), чтобы задать его, или /setlog off здесь, чтобы отключить.',
+    setlog_usage: 'Использование: отправьте /setlog <id_группы> в чате журнала',
+    setlog_same_chat: '❌ Чат журнала не может совпадать с самой группой',
+    setlog_not_admin: '🚫 Вы не администратор группы {chat_id}, или бота нет в этой группе',
+    setlog_done: '✅ Журнал группы {chat_id} будет отправляться в этот чат',
+    strike_count: 'Нарушение №{count}',
+    strike_muted: ', ограничение на {minutes} мин',
+    strike_banned: ', участник удалён из группы',
+    audit_deleted: '🗑️ <b>Удалён ответ из другого канала</b>',
+    audit_failed: '❌ <b>Не удалось удалить ответ из другого канала</b>',
+    audit_group: 'Группа: {value}',
+    audit_user: 'Пользователь: {value}',
+    audit_content: 'Содержимое: {value}',
+    audit_type: 'Тип: {value}',
+    audit_channel: 'Канал: {value}',
+    audit_edited: 'Отредактировано: {value}',
+    audit_strikes: 'Нарушения: {value}',
+    audit_sender_chat_banned: 'Канал заблокирован и больше не может писать в группе',
+    audit_warned: '⚠️ <b>Предупреждение за ответ из другого канала (не удалён)</b>',
+    audit_logged: '📝 <b>Найден ответ из другого канала (только запись)</b>',
+    reply_type_external_quote: 'цитата поста внешнего канала',
+    reply_type_story_reply: 'ответ на историю канала',
+    reply_type_channel_forward: 'пересланный пост канала',
+    reply_type_channel_link: 'ссылка на пост канала',
+    reply_type_external_reply: 'ответ на пост внешнего канала',
+    reply_type_forward_from_channel: 'ответ на пересланный пост канала',
+    reply_type_sender_chat_channel: 'ответ на сообщение от имени канала',
+    reply_type_sender_chat_post: 'сообщение от имени канала',
+    reply_type_hidden_forward: 'ответ на пересылку не из канала',
+    reply_type_channel_signature: 'ответ на подписанный пост канала',
+    yes: 'да',
+    no: 'нет',
+    unknown_sender: 'неизвестно',
+    lang_status: '🌐 Язык: {lang} ({source})\nДоступные: {available}\n\nЗадать: /lang <код>\nЯзык администраторов: /lang auto',
+    lang_source_manual: 'задан вручную',
+    lang_source_auto: 'язык администраторов',
+    lang_source_default: 'по умолчанию',
+    lang_set: '✅ Язык группы: {lang}',
+    lang_auto: '✅ Язык группы будет следовать языку администраторов',
+    mode_status: '⚙️ Текущий режим: {mode}\n\n• enforce - удалять ответы из других каналов и предупреждать\n• monitor - только записывать, что было бы удалено\n• off - отключить модерацию\n\nИспользование: /mode <enforce|monitor|off>',
+    mode_set_enforce: '✅ Включён режим enforce: ответы из других каналов будут удаляться',
+    mode_set_monitor: '✅ Включён режим monitor: бот только записывает, что было бы удалено{summary}',
+    mode_set_off: '✅ Модерация отключена',
+    mode_summary_hint: '\nИспользуйте /ccrbb_set monitor_summary <часы>, чтобы получать сводки',
+    mode_summary_every: '\nСводка отправляется каждые {hours} ч.',
+    mode_summary_needs_log: '\nСводки отправляются только в чат журнала; сначала задайте его через /setlog',
+    mode_unknown: '❌ Неизвестный режим: {mode}\nИспользование: /mode <enforce|monitor|off>',
+    monitor_summary_title: '👀 Сводка режима monitor: за последние {hours} ч. было бы удалено сообщений: {count}',
+    monitor_summary_more: '…и ещё {count}',
+    stats_usage: 'Использование: /stats [дней, 1-{max}]',
+    stats_title: '📊 Статистика за последние {days} дн.',
+    stat_inspected: 'Проверено сообщений: {count}',
+    stat_detected: 'Ответов из других каналов: {count}',
+    stat_linked_allowed: 'Пропущено (привязанный/разрешённый канал): {count}',
+    stat_deleted: 'Удалено: {count}',
+    stat_delete_failed: 'Не удалось удалить: {count}',
+    stat_warnings_sent: 'Отправлено предупреждений: {count}',
+    stat_reports: 'Жалобы участников: {count} (подтверждено и удалено: {confirmed})',
+    stat_exempted: 'Пропущено (администраторы/доверенные): {count}',
+    stat_monitored: 'Только записано (режим monitor): {count}',
+    stat_rule_allowed: 'Пропущено (allow по правилу, расписанию или /relax): {count}',
+    stat_logged: 'Только в журнал (log по правилу, расписанию или /relax): {count}',
+    onboarding: '👋 Спасибо, что добавили меня! Я удаляю сообщения в этой группе, которые отвечают контентом из внешних каналов. Ответы связанному каналу не затрагиваются.\n\n• Администраторы могут отправить /ccrbb_settings, чтобы посмотреть настройки\n• Отправьте /mode monitor, чтобы сначала попробовать: сообщения только записываются, но не удаляются',
+    rights_missing: '⚠️ Мне не хватает этих прав администратора, выдайте их в настройках администраторов группы:\n{rights}',
+    rights_ok: '✅ Права администратора выданы, теперь я блокирую ответы из других каналов',
+    right_can_delete_messages: '• Удаление сообщений - нужно, чтобы удалять ответы из других каналов',
+    right_can_restrict_members: '• Блокировка пользователей - нужно, чтобы ограничивать или банить нарушителей',
+    button_restore: '↩️ Восстановить (админ)',
+    button_allow: '✅ Разрешить канал (админ)',
+    restored_from: '↩️ Сообщение от {user} (восстановлено администратором):',
+    appeal_restored: '↩️ Восстановлено сообщений: {count}',
+    appeal_allowed: '✅ Добавлено в список разрешённых: {channels}',
+    appeal_nothing: 'ℹ️ Больше нечего делать',
+    appeal_expired: '⌛ Срок действия кнопок под этим предупреждением истёк',
+    appeal_log: '🛠️ {admin}, предупреждение в {group}: {result}',
+    self_check_alert: '🚨 Самопроверка бота обнаружила проблемы:\n{problems}',
+    self_check_recovered: '✅ Самопроверка бота снова в норме',
+    check_get_me_failed: '• Ошибка getMe, проверьте BOT_TOKEN',
+    check_webhook_info_failed: '• Ошибка getWebhookInfo',
+    check_webhook_missing: '• Webhook не установлен (ожидается {expected}), снова вызовите /setup',
+    check_webhook_url_mismatch: '• Webhook указывает на {url} вместо {expected}',
+    check_pending_updates: '• Ожидают доставки обновлений: {count}',
+    check_webhook_error: '• Недавняя ошибка webhook ({date}): {message}',
+    command_start: 'Начало работы и справка',
+    command_setlog: 'Настроить журнал модерации',
+    command_ccrbb_settings: 'Настройки группы',
+    command_ccrbb_set: 'Изменить настройку',
+    command_ccrbb_reset: 'Сбросить настройки',
+    command_allow: 'Добавить канал в белый список',
+    command_unallow: 'Убрать канал из белого списка',
+    command_block: 'Добавить канал в чёрный список',
+    command_unblock: 'Убрать канал из чёрного списка',
+    command_listallowed: 'Списки каналов',
+    command_strikes: 'Нарушения участника',
+    command_pardon: 'Сбросить нарушения участника',
+    command_trust: 'Сделать участника доверенным',
+    command_untrust: 'Убрать из доверенных',
+    command_lang: 'Язык группы',
+    command_mode: 'Режим модерации',
+    command_stats: 'Статистика',
+    command_rule: 'Правила обнаружения',
+    command_report: 'Пожаловаться администраторам (ответом на сообщение)',
+    command_schedule: 'Расписание ослабления правил',
+    command_relax: 'Временно приостановить удаление',
+    schedule_title: '⏰ Окна ослабления правил (часовой пояс {timezone})',
+    schedule_empty: 'Окна не заданы',
+    schedule_line: '{index}. {days} {start}-{end} → {action}',
+    schedule_state_enforcing: 'Сейчас: правила действуют',
+    schedule_state_window: 'Сейчас: действует окно {index} ({action})',
+    schedule_state_relax: 'Сейчас: приостановлено через /relax до {until} ({action})',
+    schedule_footer: 'В окне ответы из других каналов пропускаются (allow) или только записываются в журнал (log); заблокированные каналы по-прежнему удаляются.\n\nИспользование:\n/schedule add <дни> <HH:MM-HH:MM> [allow|log] - добавить окно, дни вида mon-fri, sat,sun или daily\n/schedule remove <номер> - удалить окно\n/schedule clear - удалить все окна\n/schedule tz <часовой пояс> - задать часовой пояс, например Europe/Moscow',
+    schedule_usage: 'Использование: /schedule add <дни> <HH:MM-HH:MM> [allow|log], /schedule remove <номер>, /schedule clear, /schedule tz <часовой пояс>',
+    schedule_added: '✅ Добавлено окно {index}: {days} {start}-{end} → {action} (часовой пояс {timezone})',
+    schedule_removed: '✅ Окно {index} удалено',
+    schedule_cleared: '✅ Все окна удалены',
+    schedule_not_found: '❌ Окна с номером {index} нет',
+    schedule_limit: '❌ В группе может быть не больше {max} окон',
+    schedule_timezone_set: '✅ Часовой пояс: {timezone}, местное время {now}',
+    schedule_timezone_invalid: '❌ Неизвестный часовой пояс: {timezone}\nУкажите название из базы IANA, например Europe/Moscow, Asia/Almaty или UTC',
+    relax_status: '⏸️ Удаление приостановлено до {until} ({timezone}), а пока {action}\nОтправьте /relax off, чтобы возобновить сейчас',
+    relax_status_off: '▶️ Правила действуют\n\nИспользование: /relax <длительность> [allow|log], например /relax 2h или /relax 30m log; /relax off возобновляет сразу',
+    relax_set: '⏸️ Удаление приостановлено, а пока {action}; оно возобновится автоматически в {until} ({timezone})',
+    relax_off: '▶️ Удаление возобновлено',
+    window_action_allow: 'ответы из других каналов пропускаются',
+    window_action_log: 'ответы из других каналов только записываются в журнал',
+    relax_usage: 'Использование: /relax <длительность> [allow|log], длительность вида 30m, 2h или 1d (не больше {max} дн.); /relax off возобновляет сразу',
+    report_usage: 'Ответьте на сообщение, о котором хотите сообщить, командой /report',
+    report_rate_limited: '⏳ Слишком много жалоб, попробуйте позже',
+    report_sent: '🚩 Спасибо, администраторы уведомлены',
+    report_admins: '🚩 {reporter} пожаловался(-ась) на это сообщение, администраторы, посмотрите',
+    report_title: '🚩 <b>Жалоба участника</b>',
+    report_reporter: 'Жалоба от: {value}',
+    report_reason: 'Причина: {value}',
+    report_link: 'Сообщение: {value}',
+    report_result: 'Результат проверки: {value}',
+    report_no_match: 'ответов из других каналов не найдено',
+    rule_title: '📐 Правила обнаружения (проверяются по порядку)',
+    rule_line_on: '✅ {rule} [{severity}] → {action}\n  {description}',
+    rule_line_off: '⏸️ {rule} [{severity}] выключено\n  {description}',
+    rule_severity_line: '• {severity} → {action}',
+    rule_severity_title: 'По важности:',
+    rule_footer: 'Действия: allow пропускает, monitor записывает, log только сообщает в журнал, warn только предупреждает, delete удаляет и предупреждает, mute удаляет и ограничивает\n\nИспользование:\n/rule <правило> on|off - включить или выключить правило\n/rule <правило|high|medium|low> <действие> - задать действие\n/rule <правило|high|medium|low> default - вернуть действие по умолчанию (delete)',
+    rule_unknown: '❌ Неизвестное правило: {rule}\nДоступные правила: {available}',
+    rule_usage: 'Использование: /rule <правило> on|off или /rule <правило|high|medium|low> <allow|monitor|log|warn|delete|mute|default>',
+    rule_enabled: '✅ Правило {rule} включено',
+    rule_disabled: '⏸️ Правило {rule} выключено',
+    rule_action_set: '✅ {rule} → {action}',
+    rule_action_reset: '✅ Для {rule} снова действует действие по умолчанию',
+    lang_unknown: '❌ Неподдерживаемый язык: {lang}\nДоступные: {available}'
+  }
+};
+
+// In-memory cache for chat information (first level in front of the shared state store)
+const chatInfoCache = new Map();
+const chatAdminsCache = new Map();
+
+// In-memory cache for per-group settings loaded from KV
+const groupSettingsCache = new Map();
+
+// Fallback key-value store used when no BOT_KV binding is configured
+const memoryStore = new Map();
+
+// Cached getMe result (bot username is needed to parse /command@bot)
+let botInfoCache = null;
+
+// Statistics not yet flushed to KV, keyed by `<chat_id>:<YYYY-MM-DD>`
+const statsBuffer = new Map();
+
+// Chats whose `stats_chat:<chat_id>` index entry this isolate has already written
+const indexedStatsChats = new Set();
+
+// Chats whose `monitor_chat:<chat_id>` index entry this isolate has already written
+const indexedMonitorChats = new Set();
+
+// Album items seen recently, keyed by `<chat_id>:<media_group_id>`
+const mediaGroupTracker = new Map();
+
+// Last warning sent per user, keyed by `<chat_id>:<user_or_sender_chat_id>`
+const recentWarnings = new Map();
+let statsLastFlush = Date.now();
+
+/**
+ * Handlers for the update types the bot processes, keyed by update field
+ * setupWebhook and the long-polling entry subscribe to exactly these types (allowed_updates).
+ */
+export const UPDATE_HANDLERS = {
+  message: (message, env, ctx) => handleMessage(message, env, ctx, false),
+  edited_message: (message, env, ctx) => handleMessage(message, env, ctx, true),
+  my_chat_member: (chatMember, env, ctx) => handleMyChatMember(chatMember, env),
+  callback_query: (query, env, ctx) => handleCallbackQuery(query, env)
+};
+
+/**
+ * Process Telegram update with comprehensive message type handling
+ * @param {Object} update - Telegram update object
+ * @param {Object} env - Environment variables
+ * @param {ExecutionContext} ctx - Execution context
+ * @returns {Promise<void>}
+ */
+export async function processUpdate(update, env, ctx) {
+  try {
+    for (const [type, handler] of Object.entries(UPDATE_HANDLERS)) {
+      if (update[type]) {
+        await handler(update[type], env, ctx);
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Error processing update ${update.update_id}:`, error);
+    // Don't throw here - we want to return 200 to Telegram even if processing fails
+  }
+}
+
+/**
+ * Run the periodic maintenance tasks (Cron trigger on Workers, a timer when polling)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+export async function runScheduledTasks(env) {
+  await Promise.all([
+    processPendingDeletions(env),
+    flushStats(env),
+    sendMonitorSummaries(env)
+  ]);
+}
+
+/**
+ * Handle incoming message with enhanced validation and processing
+ * @param {Object} message - Telegram message object
+ * @param {Object} env - Environment variables
+ * @param {ExecutionContext} ctx - Execution context
+ * @param {boolean} isEdited - Whether this is an edited message
+ * @returns {Promise<void>}
+ */
+export async function handleMessage(message, env, ctx, isEdited = false) {
+  try {
+    // Validate message structure
+    if (!message || !message.message_id || !message.chat) {
+      console.warn('🚫 Invalid message structure received');
+      return;
+    }
+
+    const chatType = message.chat.type;
+    
+    // Handle private chat messages (only /start command)
+    if (chatType === 'private') {
+      await handlePrivateMessage(message, env);
+      return;
+    }
+    
+    // Only process group and supergroup messages for cross-channel reply blocking
+    if (chatType !== 'group' && chatType !== 'supergroup') {
+      console.debug(`🔍 Ignoring ${chatType} message (ID: ${message.message_id})`);
+      return;
+    }
+
+    // Skip processing bot messages to avoid infinite loops (messages sent on behalf of a
+    // chat carry a placeholder bot in `from` and are still processed)
+    if (message.from && message.from.is_bot && !message.sender_chat) {
+      console.debug(`🤖 Ignoring bot message from ${message.from.username || message.from.first_name}`);
+      return;
+    }
+
+    // Handle commands addressed to this bot (edits never re-run commands)
+    if (!isEdited && await handleGroupCommand(message, env, ctx)) {
+      return;
+    }
+
+    const messageInfo = `message ${message.message_id} in chat ${message.chat.id}${isEdited ? ' (edited)' : ''}`;
+    const settings = await getGroupSettings(message.chat.id, env);
+    if (settings.mode === 'off') {
+      console.debug(`⏸️ Enforcement is off, ignoring ${messageInfo}`);
+      return;
+    }
+
+    console.debug(`🔍 Processing ${messageInfo}`);
+    recordStat(message.chat.id, 'inspected', env, ctx);
+    
+    // Items of an album that is being removed go with it, even if they carry no reply themselves
+    const album = message.media_group_id ? trackMediaGroupItem(message) : null;
+    if (album && album.removing) {
+      await deleteMediaGroupStraggler(message, album, env, ctx);
+      return;
+    }
+    
+    // Run the detection rules; the first matching rule decides
+    const crossChannelInfo = await evaluateRules(message, settings, env);
+    if (!crossChannelInfo) {
+      return;
+    }
+    recordStat(message.chat.id, `detected_${crossChannelInfo.replyType}`, env, ctx);
+    
+    if (!crossChannelInfo.isExternal) {
+      console.debug(`✅ Allowing linked channel reply: ${messageInfo}`);
+      recordStat(message.chat.id, 'linked_allowed', env, ctx);
+      return;
+    }
+    
+    console.log(`🎯 Detected external cross-channel reply: ${messageInfo} from ${crossChannelInfo.channelInfo.title}`);
+    
+    // The rule's action, softened by an active enforcement window or /relax
+    const action = resolveRuleAction(crossChannelInfo, settings);
+    if (action === 'allow') {
+      console.log(`✅ Rule ${crossChannelInfo.replyType} allows ${messageInfo}`);
+      recordStat(message.chat.id, 'rule_allowed', env, ctx);
+      return;
+    }
+    
+    // Admins, anonymous admins and trusted members are exempt from enforcement
+    const exemption = await getSenderExemption(message, settings, env);
+    if (exemption) {
+      console.log(`🛡️ Not enforcing on ${messageInfo}: sender is ${exemption}`);
+      recordStat(message.chat.id, 'exempted', env, ctx);
+      return;
+    }
+    
+    await applyRuleAction(action, message, crossChannelInfo, settings, env, ctx, isEdited);
+  } catch (error) {
+    console.error(`❌ Error handling message ${message?.message_id}:`, error);
+    // Continue processing other messages even if one fails
+  }
+}
+
+/**
+ * Handle private chat messages (mainly /start command)
+ * @param {Object} message - Telegram message object
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+async function handlePrivateMessage(message, env) {
+  try {
+    // Check if message has text
+    if (!message.text) {
+      console.debug(`🔍 Ignoring private message without text (ID: ${message.message_id})`);
+      return;
+    }
+
+    const messageText = message.text.trim();
+    const lang = resolveLanguage(message.from && message.from.language_code) || CONFIG.DEFAULT_LANGUAGE;
+    
+    // Handle /setlog <group_id> to receive a group's audit log in this private chat
+    const command = parseCommand(messageText, null);
+    if (command && command.command === 'setlog') {
+      await handleSetLogCommand(message, command.args, env, lang);
+      return;
+    }
+    
+    // Handle /start command
+    if (messageText === '/start' || messageText.startsWith('/start ')) {
+      console.log(`🎯 Handling /start command from user ${message.from.id} (${message.from.username || message.from.first_name})`);
+      
+      await makeApiRequest('sendMessage', {
+        chat_id: message.chat.id,
+        text: t(lang, 'start'),
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      }, env);
+      
+      console.log(`✅ Sent start message to user ${message.from.id}`);
+    } else {
+      // For other commands or text, send a brief help message
+      console.debug(`🔍 Ignoring non-start command in private chat: ${messageText}`);
+      
+      await makeApiRequest('sendMessage', {
+        chat_id: message.chat.id,
+        text: t(lang, 'private_help')
+      }, env);
+    }
+    
+  } catch (error) {
+    console.error(`❌ Error handling private message ${message?.message_id}:`, error);
+  }
+}
+
+/**
+ * Administrator rights the bot needs in a group, in the order they are reported
+ * can_restrict_members is only used for mutes, bans and banning sender chats.
+ */
+const REQUIRED_BOT_RIGHTS = ['can_delete_messages', 'can_restrict_members'];
+
+/**
+ * Handle changes of the bot's own membership in a group (my_chat_member updates)
+ * Joining posts a setup message, promotions and demotions report missing rights,
+ * and every change is mirrored in the `group:<chat_id>` registry.
+ * @param {Object} chatMember - Telegram ChatMemberUpdated object
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+async function handleMyChatMember(chatMember, env) {
+  const chat = chatMember.chat;
+  if (!chat || (chat.type !== 'group' && chat.type !== 'supergroup')) {
+    console.debug(`🔍 Ignoring my_chat_member update for ${chat ? chat.type : 'unknown'} chat`);
+    return;
+  }
+
+  const oldMember = chatMember.old_chat_member || {};
+  const newMember = chatMember.new_chat_member || {};
+  const wasMember = isActiveMemberStatus(oldMember);
+  const isMember = isActiveMemberStatus(newMember);
+
+  if (!isMember) {
+    console.log(`👋 Bot ${newMember.status === 'kicked' ? 'was removed from' : 'left'} chat ${chat.id}`);
+    await storageDelete(`group:${chat.id}`, env);
+    return;
+  }
+
+  const missingRights = getMissingBotRights(newMember);
+  const existing = await storageGet(`group:${chat.id}`, env);
+  await storagePut(`group:${chat.id}`, {
+    id: chat.id,
+    title: chat.title || null,
+    type: chat.type,
+    status: newMember.status,
+    missingRights,
+    addedBy: existing ? existing.addedBy : (chatMember.from ? chatMember.from.id : null),
+    joinedAt: existing ? existing.joinedAt : new Date(chatMember.date * 1000).toISOString(),
+    updatedAt: new Date().toISOString()
+  }, env);
+
+  const settings = await getGroupSettings(chat.id, env);
+  let lang = getGroupLanguage(settings);
+
+  // The admin who added the bot sets the group language, like the first admin command does
+  const adderLanguage = resolveLanguage(chatMember.from ? chatMember.from.language_code : null);
+  if (!wasMember && !settings.detected_language && adderLanguage) {
+    const overrides = await loadGroupSettingsOverrides(chat.id, env);
+    overrides.detected_language = adderLanguage;
+    await saveGroupSettingsOverrides(chat.id, overrides, env);
+    console.log(`🌐 Detected language ${adderLanguage} for chat ${chat.id}`);
+    lang = settings.language || adderLanguage;
+  }
+
+  const rightsText = missingRights.length > 0
+    ? t(lang, 'rights_missing', { rights: missingRights.map(right => t(lang, `right_${right}`)).join('\n') })
+    : t(lang, 'rights_ok');
+
+  if (!wasMember) {
+    console.log(`🎉 Bot joined chat ${chat.id} as ${newMember.status}, missing rights: ${missingRights.join(', ') || 'none'}`);
+    await makeApiRequest('sendMessage', {
+      chat_id: chat.id,
+      text: `${t(lang, 'onboarding')}\n\n${rightsText}`,
+      disable_web_page_preview: true
+    }, env);
+    return;
+  }
+
+  // Only promotions, demotions and rights changes are worth a message
+  const previousMissing = getMissingBotRights(oldMember);
+  if (previousMissing.join() === missingRights.join()) {
+    console.debug(`🔍 Bot membership in chat ${chat.id} changed without affecting its rights`);
+    return;
+  }
+
+  console.log(`🔑 Bot rights changed in chat ${chat.id} (${oldMember.status} → ${newMember.status}), missing: ${missingRights.join(', ') || 'none'}`);
+  await makeApiRequest('sendMessage', { chat_id: chat.id, text: rightsText }, env);
+}
+
+/**
+ * Check whether a ChatMember status means the bot is in the chat
+ * @param {Object} member - Telegram ChatMember object
+ * @returns {boolean} True if the bot is a member of the chat
+ */
+function isActiveMemberStatus(member) {
+  if (member.status === 'restricted') {
+    return member.is_member === true;
+  }
+  return member.status === 'member' || member.status === 'administrator' || member.status === 'creator';
+}
+
+/**
+ * List the required rights the bot lacks according to a ChatMember object
+ * @param {Object} member - Telegram ChatMember object for the bot
+ * @returns {Array<string>} Missing right names from REQUIRED_BOT_RIGHTS
+ */
+function getMissingBotRights(member) {
+  if (member.status === 'creator') {
+    return [];
+  }
+  return REQUIRED_BOT_RIGHTS.filter(right => member.status !== 'administrator' || !member[right]);
+}
+
+/**
+ * Handle presses of the inline buttons on warnings ("appeal:restore", "appeal:allow")
+ * The buttons sit on the warning in the group, or on the audit log entry when the
+ * group has a log chat; the appeal record names the group either way. Only
+ * administrators of that group may press them; everyone else gets an alert.
+ * @param {Object} query - Telegram CallbackQuery object
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+async function handleCallbackQuery(query, env) {
+  const message = query.message;
+  const action = (query.data || '').startsWith('appeal:') ? query.data.slice('appeal:'.length) : null;
+  if (!action || !message || !message.chat) {
+    console.debug(`🔍 Ignoring callback query ${query.id} (${query.data})`);
+    await makeApiRequest('answerCallbackQuery', { callback_query_id: query.id }, env);
+    return;
+  }
+
+  const key = `appeal:${message.chat.id}:${message.message_id}`;
+  const record = await storageGet(key, env);
+  if (!record) {
+    const lang = getGroupLanguage(await getGroupSettings(message.chat.id, env));
+    await makeApiRequest('answerCallbackQuery', { callback_query_id: query.id, text: t(lang, 'appeal_expired'), show_alert: true }, env);
+    await makeApiRequest('editMessageReplyMarkup', { chat_id: message.chat.id, message_id: message.message_id, reply_markup: { inline_keyboard: [] } }, env);
+    return;
+  }
+
+  // Records written before the buttons moved to the log chat have no chatId
+  const chatId = record.items[0].chatId || message.chat.id;
+  const chatTitle = record.items[0].chatTitle || message.chat.title || chatId;
+  const settings = await getGroupSettings(chatId, env);
+  const lang = getGroupLanguage(settings);
+
+  if (!await isUserChatAdmin(chatId, query.from.id, env)) {
+    console.warn(`🚫 Non-admin ${query.from.id} pressed ${action} on message ${message.message_id} in chat ${message.chat.id}`);
+    await makeApiRequest('answerCallbackQuery', { callback_query_id: query.id, text: t(lang, 'admin_only'), show_alert: true }, env);
+    return;
+  }
+
+  let answer;
+  if (action === 'restore') {
+    const items = record.items.filter(item => item.content && !item.restored);
+    // Mark the items first so a second press does not repost them again
+    items.forEach(item => { item.restored = true; });
+    await storagePut(key, record, env, Math.ceil(CONFIG.APPEAL_TTL / 1000));
+    let restored = 0;
+    for (const item of items) {
+      if (await restoreAppealItem(chatId, item, lang, env)) {
+        restored += item.content.type === 'album' ? item.content.items.length : 1;
+      }
+    }
+    console.log(`↩️ Admin ${query.from.id} restored ${restored} message(s) in chat ${chatId}`);
+    answer = items.length > 0 ? t(lang, 'appeal_restored', { count: restored }) : t(lang, 'appeal_nothing');
+  } else if (action === 'allow') {
+    const overrides = await loadGroupSettingsOverrides(chatId, env);
+    const list = [...(overrides.allowed_channels || GROUP_SETTINGS_SCHEMA.allowed_channels.default)];
+    const added = [];
+    for (const item of record.items.filter(item => item.channel && !item.allowed)) {
+      item.allowed = true;
+      if (!findChannelEntry(list, item.channel)) {
+        list.push(item.channel);
+        added.push(formatChannelEntry(item.channel));
+      }
+    }
+    overrides.allowed_channels = list;
+    await saveGroupSettingsOverrides(chatId, overrides, env);
+    await storagePut(key, record, env, Math.ceil(CONFIG.APPEAL_TTL / 1000));
+    console.log(`📋 Admin ${query.from.id} allowed ${added.join(', ') || 'no new channels'} in chat ${chatId}`);
+    answer = added.length > 0 ? t(lang, 'appeal_allowed', { channels: added.join(', ') }) : t(lang, 'appeal_nothing');
+  } else {
+    answer = t(lang, 'appeal_nothing');
+  }
+
+  await makeApiRequest('answerCallbackQuery', { callback_query_id: query.id, text: answer }, env);
+  await makeApiRequest('editMessageReplyMarkup', {
+    chat_id: message.chat.id,
+    message_id: message.message_id,
+    reply_markup: buildAppealKeyboard(record, lang) || { inline_keyboard: [] }
+  }, env);
+
+  if (settings.log_chat_id) {
+    await makeApiRequest('sendMessage', {
+      chat_id: settings.log_chat_id,
+      text: t(lang, 'appeal_log', { admin: formatUserLabel(query.from), group: chatTitle, result: answer }),
+      disable_web_page_preview: true
+    }, env);
+  }
+}
+
+/**
+ * Look up a user-facing message in the catalog and fill in its placeholders
+ * @param {string} lang - Language code (a key of MESSAGES)
+ * @param {string} key - Message key
+ * @param {Object} params - Placeholder values
+ * @returns {string} Localized message
+ */
+export function t(lang, key, params = {}) {
+  const catalog = MESSAGES[lang] || MESSAGES[CONFIG.DEFAULT_LANGUAGE];
+  const template = key in catalog ? catalog[key] : MESSAGES[CONFIG.DEFAULT_LANGUAGE][key];
+  if (template === undefined) {
+    console.warn(`⚠️ Missing message ${key}`);
+    return key;
+  }
+  return renderTemplate(template, params);
+}
+
+/**
+ * Map a Telegram language_code (e.g. "en-US") to a catalog language
+ * @param {string|undefined} languageCode - IETF language tag from a Telegram user
+ * @returns {string|null} Supported language, CONFIG.FALLBACK_LANGUAGE for unsupported
+ *   codes, or null when no code is given
+ */
+function resolveLanguage(languageCode) {
+  if (!languageCode) {
+    return null;
+  }
+  const base = languageCode.toLowerCase().split(/[-_]/)[0];
+  return MESSAGES[base] ? base : CONFIG.FALLBACK_LANGUAGE;
+}
+
+/**
+ * Get the effective language of a group
+ * @param {Object} settings - Effective settings for the group
+ * @returns {string} Language code
+ */
+function getGroupLanguage(settings) {
+  return settings.language || settings.detected_language || CONFIG.DEFAULT_LANGUAGE;
+}
+
+/**
+ * Parse a bot command from message text
+ * Commands addressed to another bot (/cmd@other_bot) are ignored.
+ * @param {string} text - Message text
+ * @param {string|null} botUsername - This bot's username
+ * @returns {Object|null} Parsed command ({ command, args }) or null
+ */
+function parseCommand(text, botUsername) {
+  const match = /^\/([a-z0-9_]+)(?:@([a-z0-9_]+))?(?:\s+([\s\S]*))?$/i.exec(text.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, command, target, args] = match;
+  if (target && (!botUsername || target.toLowerCase() !== botUsername.toLowerCase())) {
+    return null;
+  }
+
+  return { command: command.toLowerCase(), args: (args || '').trim() };
+}
+
+/**
+ * Handle admin and member commands in group chats
+ * @param {Object} message - Telegram message object
+ * @param {Object} env - Environment variables
+ * @param {ExecutionContext} ctx - Execution context
+ * @returns {Promise<boolean>} Whether the message was a command handled by this bot
+ */
+async function handleGroupCommand(message, env, ctx) {
+  if (!message.text || !message.text.startsWith('/')) {
+    return false;
+  }
+
+  const botInfo = await getBotInfo(env);
+  const parsed = parseCommand(message.text, botInfo && botInfo.username);
+  if (!parsed || !(GROUP_COMMANDS[parsed.command] || MEMBER_COMMANDS[parsed.command])) {
+    return false;
+  }
+
+  const chatId = message.chat.id;
+  const userId = message.from ? message.from.id : 'anonymous';
+  console.log(`🎯 Handling /${parsed.command} command from ${userId} in chat ${chatId}`);
+
+  const settings = await getGroupSettings(chatId, env);
+  let lang = getGroupLanguage(settings);
+
+  if (MEMBER_COMMANDS[parsed.command]) {
+    try {
+      await MEMBER_COMMANDS[parsed.command](message, parsed.args, env, lang, ctx);
+    } catch (error) {
+      console.error(`❌ Error handling /${parsed.command} in chat ${chatId}:`, error);
+    }
+    return true;
+  }
+
+  if (!await isChatAdmin(message, env)) {
+    console.warn(`🚫 Non-admin ${userId} tried /${parsed.command} in chat ${chatId}`);
+    await sendReply(message, t(lang, 'admin_only'), env);
+    return true;
+  }
+
+  // The group language defaults to the language of the first admin who uses a command
+  const adminLanguage = resolveLanguage(message.from && !message.sender_chat ? message.from.language_code : null);
+  if (!settings.detected_language && adminLanguage) {
+    const overrides = await loadGroupSettingsOverrides(chatId, env);
+    overrides.detected_language = adminLanguage;
+    await saveGroupSettingsOverrides(chatId, overrides, env);
+    console.log(`🌐 Detected language ${adminLanguage} for chat ${chatId}`);
+    lang = settings.language || adminLanguage;
+  }
+
+  try {
+    await GROUP_COMMANDS[parsed.command](message, parsed.args, env, lang);
+  } catch (error) {
+    console.error(`❌ Error handling /${parsed.command} in chat ${chatId}:`, error);
+    await sendReply(message, t(lang, 'command_failed'), env);
+  }
+
+  return true;
+}
+
+/**
+ * Commands available in private chats with the bot (handled in handlePrivateMessage)
+ */
+const PRIVATE_COMMANDS = ['start', 'setlog'];
+
+/**
+ * Admin-only group commands, keyed by command name
+ */
+const GROUP_COMMANDS = {
+  ccrbb_settings: handleSettingsCommand,
+  ccrbb_set: handleSetCommand,
+  ccrbb_reset: handleResetCommand,
+  allow: (message, args, env, lang) => handleChannelListCommand(message, args, env, lang, 'allowed_channels', true),
+  unallow: (message, args, env, lang) => handleChannelListCommand(message, args, env, lang, 'allowed_channels', false),
+  block: (message, args, env, lang) => handleChannelListCommand(message, args, env, lang, 'blocked_channels', true),
+  unblock: (message, args, env, lang) => handleChannelListCommand(message, args, env, lang, 'blocked_channels', false),
+  listallowed: handleListAllowedCommand,
+  strikes: handleStrikesCommand,
+  pardon: handlePardonCommand,
+  trust: (message, args, env, lang) => handleTrustCommand(message, args, env, lang, true),
+  untrust: (message, args, env, lang) => handleTrustCommand(message, args, env, lang, false),
+  setlog: handleSetLogCommand,
+  lang: handleLangCommand,
+  mode: handleModeCommand,
+  rule: handleRuleCommand,
+  schedule: handleScheduleCommand,
+  relax: handleRelaxCommand,
+  stats: handleStatsCommand
+};
+
+/**
+ * Group commands any member can use, keyed by command name
+ */
+const MEMBER_COMMANDS = {
+  report: handleReportCommand
+};
+
+/**
+ * /ccrbb_settings - show effective settings for this group
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handleSettingsCommand(message, args, env, lang) {
+  const settings = await getGroupSettings(message.chat.id, env);
+  const lines = Object.entries(GROUP_SETTINGS_SCHEMA)
+    .filter(([, schema]) => !schema.internal)
+    .map(([key, schema]) => {
+      const marker = JSON.stringify(settings[key]) === JSON.stringify(schema.default) ? '' : ' *';
+      const placeholders = (schema.placeholders || []).map(name => `{${name}}`).join(' ');
+      return `• ${key} = ${formatSettingValue(settings[key], lang)}${marker}\n  ${t(lang, `setting_${key}`, { placeholders })}`;
+    });
+
+  await sendReply(message, `${t(lang, 'settings_title')}\n\n${lines.join('\n')}\n\n${t(lang, 'settings_footer')}`, env);
+}
+
+/**
+ * /ccrbb_set <key> <value> - change a single setting for this group
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handleSetCommand(message, args, env, lang) {
+  const match = /^(\S+)\s+([\s\S]+)$/.exec(args);
+  if (!match) {
+    const keys = Object.keys(GROUP_SETTINGS_SCHEMA).filter(key => !GROUP_SETTINGS_SCHEMA[key].managedBy && !GROUP_SETTINGS_SCHEMA[key].internal);
+    await sendReply(message, t(lang, 'set_usage', { keys: keys.join(', ') }), env);
+    return;
+  }
+
+  const key = match[1].toLowerCase();
+  const parsed = parseSettingValue(key, match[2].trim(), lang);
+  if (parsed.error) {
+    await sendReply(message, `❌ ${parsed.error}`, env);
+    return;
+  }
+
+  const chatId = message.chat.id;
+  const overrides = await loadGroupSettingsOverrides(chatId, env);
+  overrides[key] = parsed.value;
+  await saveGroupSettingsOverrides(chatId, overrides, env);
+
+  console.log(`⚙️ Set ${key}=${JSON.stringify(parsed.value)} in chat ${chatId}`);
+  await sendReply(message, t(lang, 'setting_updated', { key, value: formatSettingValue(parsed.value, lang) }), env);
+}
+
+/**
+ * /ccrbb_reset [key] - restore one or all settings to their defaults
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handleResetCommand(message, args, env, lang) {
+  const chatId = message.chat.id;
+  const key = args.toLowerCase();
+
+  if (!key) {
+    await saveGroupSettingsOverrides(chatId, {}, env);
+    console.log(`⚙️ Reset all settings in chat ${chatId}`);
+    await sendReply(message, t(lang, 'settings_reset_all'), env);
+    return;
+  }
+
+  if (!GROUP_SETTINGS_SCHEMA[key] || GROUP_SETTINGS_SCHEMA[key].internal) {
+    await sendReply(message, `❌ ${t(lang, 'setting_unknown', { key })}`, env);
+    return;
+  }
+
+  const overrides = await loadGroupSettingsOverrides(chatId, env);
+  delete overrides[key];
+  await saveGroupSettingsOverrides(chatId, overrides, env);
+
+  console.log(`⚙️ Reset ${key} in chat ${chatId}`);
+  await sendReply(message, t(lang, 'setting_reset', { key, value: formatSettingValue(GROUP_SETTINGS_SCHEMA[key].default, lang) }), env);
+}
+
+/**
+ * /allow, /unallow, /block, /unblock <@channel|-100id|t.me/channel> - edit a channel list
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @param {string} listKey - Settings key of the list (allowed_channels or blocked_channels)
+ * @param {boolean} add - Whether to add (true) or remove (false) the channel
+ * @returns {Promise<void>}
+ */
+async function handleChannelListCommand(message, args, env, lang, listKey, add) {
+  const reference = parseChannelReference(args);
+  if (!reference) {
+    await sendReply(message, t(lang, 'channel_usage'), env);
+    return;
+  }
+
+  const chatId = message.chat.id;
+  const overrides = await loadGroupSettingsOverrides(chatId, env);
+  const list = [...(overrides[listKey] || GROUP_SETTINGS_SCHEMA[listKey].default)];
+  const listName = t(lang, listKey === 'allowed_channels' ? 'list_allowed' : 'list_blocked');
+
+  if (add) {
+    const entry = await resolveChannelEntry(reference, env);
+    if (findChannelEntry(list, entry)) {
+      await sendReply(message, t(lang, 'channel_already_listed', { channel: formatChannelEntry(entry), list: listName }), env);
+      return;
+    }
+    list.push(entry);
+    console.log(`📋 Added ${formatChannelEntry(entry)} to ${listKey} in chat ${chatId}`);
+    await sendReply(message, t(lang, 'channel_added', { channel: formatChannelEntry(entry), list: listName }), env);
+  } else {
+    const existing = findChannelEntry(list, reference);
+    if (!existing) {
+      await sendReply(message, t(lang, 'channel_not_listed', { channel: formatChannelEntry(reference), list: listName }), env);
+      return;
+    }
+    list.splice(list.indexOf(existing), 1);
+    console.log(`📋 Removed ${formatChannelEntry(existing)} from ${listKey} in chat ${chatId}`);
+    await sendReply(message, t(lang, 'channel_removed', { channel: formatChannelEntry(existing), list: listName }), env);
+  }
+
+  if (list.length === 0) {
+    delete overrides[listKey];
+  } else {
+    overrides[listKey] = list;
+  }
+  await saveGroupSettingsOverrides(chatId, overrides, env);
+}
+
+/**
+ * /listallowed - show the linked channel and both channel lists
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handleListAllowedCommand(message, args, env, lang) {
+  const settings = await getGroupSettings(message.chat.id, env);
+  const chatInfo = await getChatInfo(message.chat.id, env);
+  const formatList = list => list.length > 0 ? list.map(entry => `• ${formatChannelEntry(entry)}`).join('\n') : t(lang, 'list_empty');
+
+  await sendReply(message, t(lang, 'list_overview', {
+    linked: chatInfo && chatInfo.linked_chat_id ? String(chatInfo.linked_chat_id) : t(lang, 'linked_none'),
+    allowed: formatList(settings.allowed_channels),
+    blocked: formatList(settings.blocked_channels)
+  }), env);
+}
+
+/**
+ * /strikes <@user|user_id> - show a member's current strike count (or reply to their message)
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handleStrikesCommand(message, args, env, lang) {
+  const target = await resolveTargetUser(message, args, env);
+  if (!target) {
+    await sendReply(message, t(lang, 'strikes_usage'), env);
+    return;
+  }
+
+  const settings = await getGroupSettings(message.chat.id, env);
+  const count = await sharedCountEvents(`strikes:${message.chat.id}:${target.id}`, env, settings.strike_window * 3600);
+
+  await sendReply(message, t(lang, 'strikes_status', { user: target.label, hours: settings.strike_window, count }), env);
+}
+
+/**
+ * /pardon <@user|user_id> - reset a member's strikes (or reply to their message)
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handlePardonCommand(message, args, env, lang) {
+  const target = await resolveTargetUser(message, args, env);
+  if (!target) {
+    await sendReply(message, t(lang, 'pardon_usage'), env);
+    return;
+  }
+
+  await sharedDelete(`strikes:${message.chat.id}:${target.id}`, env);
+  console.log(`🕊️ Pardoned user ${target.id} in chat ${message.chat.id}`);
+  await sendReply(message, t(lang, 'pardoned', { user: target.label }), env);
+}
+
+/**
+ * /trust, /untrust <@user|user_id> - edit the trusted members list (or reply to their message)
+ * Without a target, /trust shows the current list.
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @param {boolean} add - Whether to trust (true) or untrust (false) the member
+ * @returns {Promise<void>}
+ */
+async function handleTrustCommand(message, args, env, lang, add) {
+  const chatId = message.chat.id;
+  const overrides = await loadGroupSettingsOverrides(chatId, env);
+  const list = [...(overrides.trusted_users || GROUP_SETTINGS_SCHEMA.trusted_users.default)];
+  const target = await resolveTargetUser(message, args, env);
+
+  if (add && !target && !args.trim()) {
+    const users = list.length > 0 ? list.map(entry => `• ${entry.label} (${entry.id})`).join('\n') : t(lang, 'list_empty');
+    await sendReply(message, `${t(lang, 'trust_list', { users })}\n\n${t(lang, 'trust_usage')}`, env);
+    return;
+  }
+
+  if (add) {
+    if (!target) {
+      await sendReply(message, t(lang, 'trust_usage'), env);
+      return;
+    }
+    if (list.some(entry => entry.id === target.id)) {
+      await sendReply(message, t(lang, 'trust_already', { user: target.label }), env);
+      return;
+    }
+    list.push({ id: target.id, label: target.label });
+    console.log(`🤝 Trusted user ${target.id} in chat ${chatId}`);
+    await sendReply(message, t(lang, 'trust_added', { user: target.label }), env);
+  } else {
+    // Trusted members may have no strikes, so an unknown @username is matched against stored labels
+    const existing = target
+      ? list.find(entry => entry.id === target.id)
+      : list.find(entry => entry.label.toLowerCase() === args.trim().toLowerCase());
+    if (!existing) {
+      await sendReply(message, target ? t(lang, 'trust_not_listed', { user: target.label }) : t(lang, 'trust_usage'), env);
+      return;
+    }
+    list.splice(list.indexOf(existing), 1);
+    console.log(`🤝 Untrusted user ${existing.id} in chat ${chatId}`);
+    await sendReply(message, t(lang, 'trust_removed', { user: existing.label }), env);
+  }
+
+  if (list.length === 0) {
+    delete overrides.trusted_users;
+  } else {
+    overrides.trusted_users = list;
+  }
+  await saveGroupSettingsOverrides(chatId, overrides, env);
+}
+
+/**
+ * /setlog - manage the audit log chat of a group
+ * In the group: `/setlog` shows the current log chat, `/setlog off` disables logging.
+ * In the log chat (group or private chat with the bot): `/setlog <group_id>` sends
+ * that group's audit log here; the sender must be an admin of that group.
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handleSetLogCommand(message, args, env, lang) {
+  const currentChatId = message.chat.id;
+  const value = args.trim().toLowerCase();
+  const isPrivate = message.chat.type === 'private';
+
+  if (!isPrivate && (value === 'off' || value === '')) {
+    if (value === 'off') {
+      const overrides = await loadGroupSettingsOverrides(currentChatId, env);
+      delete overrides.log_chat_id;
+      await saveGroupSettingsOverrides(currentChatId, overrides, env);
+      console.log(`📝 Disabled audit log for chat ${currentChatId}`);
+      await sendReply(message, t(lang, 'setlog_disabled'), env);
+      return;
+    }
+
+    const settings = await getGroupSettings(currentChatId, env);
+    const status = settings.log_chat_id ? t(lang, 'setlog_status_set', { chat: settings.log_chat_id }) : t(lang, 'setlog_status_unset');
+    await sendReply(message, t(lang, 'setlog_help', { status, chat_id: currentChatId }), env);
+    return;
+  }
+
+  if (!/^-\d+$/.test(value)) {
+    await sendReply(message, t(lang, 'setlog_usage'), env);
+    return;
+  }
+
+  const groupId = Number(value);
+  if (groupId === currentChatId) {
+    await sendReply(message, t(lang, 'setlog_same_chat'), env);
+    return;
+  }
+
+  if (!message.from || !await isUserChatAdmin(groupId, message.from.id, env)) {
+    console.warn(`🚫 User ${message.from && message.from.id} is not an admin of ${groupId}, refusing /setlog`);
+    await sendReply(message, t(lang, 'setlog_not_admin', { chat_id: groupId }), env);
+    return;
+  }
+
+  const overrides = await loadGroupSettingsOverrides(groupId, env);
+  overrides.log_chat_id = currentChatId;
+  await saveGroupSettingsOverrides(groupId, overrides, env);
+
+  console.log(`📝 Audit log of chat ${groupId} now goes to ${currentChatId}`);
+  await sendReply(message, t(lang, 'setlog_done', { chat_id: groupId }), env);
+}
+
+/**
+ * /lang [code|auto] - show or override the group language
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handleLangCommand(message, args, env, lang) {
+  const chatId = message.chat.id;
+  const value = args.trim().toLowerCase();
+  const available = Object.keys(MESSAGES).map(code => `${code} (${MESSAGES[code].language_name})`).join(', ');
+
+  if (!value) {
+    const settings = await getGroupSettings(chatId, env);
+    const source = settings.language ? 'manual' : (settings.detected_language ? 'auto' : 'default');
+    await sendReply(message, t(lang, 'lang_status', {
+      lang: `${lang} (${MESSAGES[lang].language_name})`,
+      source: t(lang, `lang_source_${source}`),
+      available
+    }), env);
+    return;
+  }
+
+  const overrides = await loadGroupSettingsOverrides(chatId, env);
+
+  if (value === 'auto') {
+    delete overrides.language;
+    await saveGroupSettingsOverrides(chatId, overrides, env);
+    console.log(`🌐 Language of chat ${chatId} follows admins again`);
+    await sendReply(message, t(getGroupLanguage(await getGroupSettings(chatId, env)), 'lang_auto'), env);
+    return;
+  }
+
+  if (!MESSAGES[value]) {
+    await sendReply(message, t(lang, 'lang_unknown', { lang: value, available }), env);
+    return;
+  }
+
+  overrides.language = value;
+  await saveGroupSettingsOverrides(chatId, overrides, env);
+  console.log(`🌐 Set language of chat ${chatId} to ${value}`);
+  await sendReply(message, t(value, 'lang_set', { lang: MESSAGES[value].language_name }), env);
+}
+
+/**
+ * /mode [enforce|monitor|off] - show or switch the enforcement mode of this group
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handleModeCommand(message, args, env, lang) {
+  const chatId = message.chat.id;
+  const value = args.trim().toLowerCase();
+
+  if (!value) {
+    const settings = await getGroupSettings(chatId, env);
+    await sendReply(message, t(lang, 'mode_status', { mode: settings.mode }), env);
+    return;
+  }
+
+  if (!GROUP_SETTINGS_SCHEMA.mode.values.includes(value)) {
+    await sendReply(message, t(lang, 'mode_unknown', { mode: value }), env);
+    return;
+  }
+
+  const overrides = await loadGroupSettingsOverrides(chatId, env);
+  if (value === GROUP_SETTINGS_SCHEMA.mode.default) {
+    delete overrides.mode;
+  } else {
+    overrides.mode = value;
+  }
+  await saveGroupSettingsOverrides(chatId, overrides, env);
+  console.log(`⚙️ Set mode of chat ${chatId} to ${value}`);
+
+  const settings = await getGroupSettings(chatId, env);
+  let summary = settings.monitor_summary > 0
+    ? t(lang, 'mode_summary_every', { hours: settings.monitor_summary })
+    : t(lang, 'mode_summary_hint');
+  if (!settings.log_chat_id) {
+    summary += t(lang, 'mode_summary_needs_log');
+  }
+  await sendReply(message, t(lang, `mode_set_${value}`, { summary }), env);
+}
+
+/**
+ * /rule [rule|severity] [on|off|action|default] - list the detection rules or change one
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handleRuleCommand(message, args, env, lang) {
+  const chatId = message.chat.id;
+  const [target, value] = args.trim().toLowerCase().split(/\s+/);
+
+  if (!target) {
+    const settings = await getGroupSettings(chatId, env);
+    const ruleLines = DETECTION_RULES.map(rule => t(lang, settings[`detect_${rule.id}`] ? 'rule_line_on' : 'rule_line_off', {
+      rule: rule.id,
+      severity: rule.severity,
+      action: getRuleAction(rule.id, rule.severity, settings),
+      description: t(lang, `reply_type_${rule.id}`)
+    }));
+    const severityLines = RULE_SEVERITIES
+      .filter(severity => settings.rule_actions[severity])
+      .map(severity => t(lang, 'rule_severity_line', { severity, action: settings.rule_actions[severity] }));
+    const sections = [t(lang, 'rule_title'), ruleLines.join('\n')];
+    if (severityLines.length > 0) {
+      sections.push(`${t(lang, 'rule_severity_title')}\n${severityLines.join('\n')}`);
+    }
+    sections.push(t(lang, 'rule_footer'));
+    await sendReply(message, sections.join('\n\n'), env);
+    return;
+  }
+
+  const rule = DETECTION_RULES.find(candidate => candidate.id === target);
+  if (!rule && !RULE_SEVERITIES.includes(target)) {
+    await sendReply(message, t(lang, 'rule_unknown', {
+      rule: target,
+      available: [...DETECTION_RULES.map(candidate => candidate.id), ...RULE_SEVERITIES].join(', ')
+    }), env);
+    return;
+  }
+
+  const overrides = await loadGroupSettingsOverrides(chatId, env);
+
+  // /rule <id> on|off switches the rule's detect_<id> setting
+  if (rule && (value === 'on' || value === 'off')) {
+    const key = `detect_${rule.id}`;
+    const enabled = value === 'on';
+    if (enabled === GROUP_SETTINGS_SCHEMA[key].default) {
+      delete overrides[key];
+    } else {
+      overrides[key] = enabled;
+    }
+    await saveGroupSettingsOverrides(chatId, overrides, env);
+    console.log(`⚙️ Turned rule ${rule.id} ${value} in chat ${chatId}`);
+    await sendReply(message, t(lang, enabled ? 'rule_enabled' : 'rule_disabled', { rule: rule.id }), env);
+    return;
+  }
+
+  if (value !== 'default' && !RULE_ACTIONS.includes(value)) {
+    await sendReply(message, t(lang, 'rule_usage'), env);
+    return;
+  }
+
+  const actions = { ...(overrides.rule_actions || {}) };
+  if (value === 'default') {
+    delete actions[target];
+  } else {
+    actions[target] = value;
+  }
+  if (Object.keys(actions).length > 0) {
+    overrides.rule_actions = actions;
+  } else {
+    delete overrides.rule_actions;
+  }
+  await saveGroupSettingsOverrides(chatId, overrides, env);
+  console.log(`⚙️ Set action of ${target} to ${value} in chat ${chatId}`);
+  await sendReply(message, value === 'default'
+    ? t(lang, 'rule_action_reset', { rule: target })
+    : t(lang, 'rule_action_set', { rule: target, action: value }), env);
+}
+
+/**
+ * /stats [days] - show this group's statistics for the last few days (default 7)
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handleStatsCommand(message, args, env, lang) {
+  const days = args ? Number(args) : 7;
+  if (!Number.isInteger(days) || days < 1 || days > CONFIG.STATS_MAX_DAYS) {
+    await sendReply(message, t(lang, 'stats_usage', { max: CONFIG.STATS_MAX_DAYS }), env);
+    return;
+  }
+
+  const totals = await loadStats(message.chat.id, days, env);
+  const detectedNames = Object.keys(totals).filter(name => name.startsWith('detected_')).sort();
+  const detectedTotal = detectedNames.reduce((sum, name) => sum + totals[name], 0);
+  const detectedLines = detectedNames
+    .map(name => `  • ${t(lang, `reply_type_${name.slice('detected_'.length)}`)}: ${totals[name]}`);
+
+  const lines = [
+    t(lang, 'stats_title', { days }),
+    '',
+    t(lang, 'stat_inspected', { count: totals.inspected || 0 }),
+    t(lang, 'stat_detected', { count: detectedTotal }),
+    ...detectedLines,
+    t(lang, 'stat_linked_allowed', { count: totals.linked_allowed || 0 }),
+    t(lang, 'stat_rule_allowed', { count: totals.rule_allowed || 0 }),
+    t(lang, 'stat_exempted', { count: totals.exempted || 0 }),
+    t(lang, 'stat_monitored', { count: totals.monitored || 0 }),
+    t(lang, 'stat_logged', { count: totals.logged || 0 }),
+    t(lang, 'stat_deleted', { count: totals.deleted || 0 }),
+    t(lang, 'stat_delete_failed', { count: totals.delete_failed || 0 }),
+    t(lang, 'stat_warnings_sent', { count: totals.warnings_sent || 0 }),
+    t(lang, 'stat_reports', { count: totals.reports || 0, confirmed: totals.reports_confirmed || 0 })
+  ];
+
+  await sendReply(message, lines.join('\n'), env);
+}
+
+/**
+ * /schedule [add|remove|clear|tz] - show or edit this group's weekly enforcement windows
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handleScheduleCommand(message, args, env, lang) {
+  const chatId = message.chat.id;
+  const [subcommand = '', ...params] = args.trim().split(/\s+/);
+  const settings = await getGroupSettings(chatId, env);
+
+  if (!subcommand) {
+    const windowLines = settings.enforcement_windows.map((window, index) => t(lang, 'schedule_line', {
+      index: index + 1,
+      days: formatWindowDays(window.days),
+      start: window.start,
+      end: window.end,
+      action: window.action
+    }));
+    const relaxation = getEnforcementRelaxation(settings, Date.now());
+    let state = t(lang, 'schedule_state_enforcing');
+    if (relaxation && relaxation.source === 'relax') {
+      state = t(lang, 'schedule_state_relax', { until: getZonedTime(relaxation.until, settings.timezone).text, action: relaxation.action });
+    } else if (relaxation) {
+      state = t(lang, 'schedule_state_window', { index: relaxation.index, action: relaxation.action });
+    }
+
+    await sendReply(message, [
+      t(lang, 'schedule_title', { timezone: settings.timezone }),
+      windowLines.length > 0 ? windowLines.join('\n') : t(lang, 'schedule_empty'),
+      state,
+      t(lang, 'schedule_footer')
+    ].join('\n\n'), env);
+    return;
+  }
+
+  const overrides = await loadGroupSettingsOverrides(chatId, env);
+  const windows = [...settings.enforcement_windows];
+
+  switch (subcommand.toLowerCase()) {
+    case 'add': {
+      const [daysText = '', range = '', action = 'allow'] = params.map(param => param.toLowerCase());
+      const days = parseWindowDays(daysText);
+      const [start, end] = range.split('-');
+      const startMinutes = parseClockTime(start || '');
+      const endMinutes = parseClockTime(end || '');
+      if (!days || startMinutes === null || endMinutes === null || startMinutes === endMinutes || !RELAX_ACTIONS.includes(action)) {
+        await sendReply(message, t(lang, 'schedule_usage'), env);
+        return;
+      }
+      if (windows.length >= CONFIG.SCHEDULE_MAX_WINDOWS) {
+        await sendReply(message, t(lang, 'schedule_limit', { max: CONFIG.SCHEDULE_MAX_WINDOWS }), env);
+        return;
+      }
+
+      // Store zero-padded times so they display consistently
+      const pad = time => time.padStart(5, '0');
+      windows.push({ days, start: pad(start), end: pad(end), action });
+      overrides.enforcement_windows = windows;
+      await saveGroupSettingsOverrides(chatId, overrides, env);
+      console.log(`⚙️ Added enforcement window ${formatWindowDays(days)} ${pad(start)}-${pad(end)} (${action}) in chat ${chatId}`);
+      await sendReply(message, t(lang, 'schedule_added', {
+        index: windows.length,
+        days: formatWindowDays(days),
+        start: pad(start),
+        end: pad(end),
+        action,
+        timezone: settings.timezone
+      }), env);
+      return;
+    }
+    case 'remove': {
+      const index = Number(params[0]);
+      if (!Number.isInteger(index) || index < 1 || index > windows.length) {
+        await sendReply(message, t(lang, 'schedule_not_found', { index: params[0] || '' }), env);
+        return;
+      }
+      windows.splice(index - 1, 1);
+      if (windows.length > 0) {
+        overrides.enforcement_windows = windows;
+      } else {
+        delete overrides.enforcement_windows;
+      }
+      await saveGroupSettingsOverrides(chatId, overrides, env);
+      console.log(`⚙️ Removed enforcement window ${index} in chat ${chatId}`);
+      await sendReply(message, t(lang, 'schedule_removed', { index }), env);
+      return;
+    }
+    case 'clear':
+      delete overrides.enforcement_windows;
+      await saveGroupSettingsOverrides(chatId, overrides, env);
+      console.log(`⚙️ Cleared enforcement windows in chat ${chatId}`);
+      await sendReply(message, t(lang, 'schedule_cleared'), env);
+      return;
+    case 'tz': {
+      const timezone = normalizeTimeZone(params[0] || '');
+      if (!timezone) {
+        await sendReply(message, t(lang, 'schedule_timezone_invalid', { timezone: params[0] || '' }), env);
+        return;
+      }
+      if (timezone === GROUP_SETTINGS_SCHEMA.timezone.default) {
+        delete overrides.timezone;
+      } else {
+        overrides.timezone = timezone;
+      }
+      await saveGroupSettingsOverrides(chatId, overrides, env);
+      console.log(`⚙️ Set time zone of chat ${chatId} to ${timezone}`);
+      await sendReply(message, t(lang, 'schedule_timezone_set', { timezone, now: getZonedTime(Date.now(), timezone).text }), env);
+      return;
+    }
+    default:
+      await sendReply(message, t(lang, 'schedule_usage'), env);
+  }
+}
+
+/**
+ * /relax [duration [allow|log]|off] - pause enforcement for a while, or end the pause
+ * Enforcement resumes by itself once the pause has passed.
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @returns {Promise<void>}
+ */
+async function handleRelaxCommand(message, args, env, lang) {
+  const chatId = message.chat.id;
+  const [durationText = '', actionText = 'allow'] = args.trim().toLowerCase().split(/\s+/);
+  const settings = await getGroupSettings(chatId, env);
+  const maxDays = CONFIG.RELAX_MAX_DURATION / 86400000;
+
+  if (!durationText) {
+    const relax = settings.relax && settings.relax.until > Date.now() ? settings.relax : null;
+    await sendReply(message, relax
+      ? t(lang, 'relax_status', {
+        until: getZonedTime(relax.until, settings.timezone).text,
+        timezone: settings.timezone,
+        action: t(lang, `window_action_${relax.action}`)
+      })
+      : t(lang, 'relax_status_off'), env);
+    return;
+  }
+
+  const overrides = await loadGroupSettingsOverrides(chatId, env);
+
+  if (durationText === 'off') {
+    delete overrides.relax;
+    await saveGroupSettingsOverrides(chatId, overrides, env);
+    console.log(`▶️ Resumed enforcement in chat ${chatId}`);
+    await sendReply(message, t(lang, 'relax_off'), env);
+    return;
+  }
+
+  const match = /^(\d+)([mhd])$/.exec(durationText);
+  const duration = match ? Number(match[1]) * { m: 60000, h: 3600000, d: 86400000 }[match[2]] : 0;
+  if (duration <= 0 || duration > CONFIG.RELAX_MAX_DURATION || !RELAX_ACTIONS.includes(actionText)) {
+    await sendReply(message, t(lang, 'relax_usage', { max: maxDays }), env);
+    return;
+  }
+
+  const until = Date.now() + duration;
+  overrides.relax = { until, action: actionText };
+  await saveGroupSettingsOverrides(chatId, overrides, env);
+  console.log(`⏸️ Relaxed enforcement in chat ${chatId} for ${durationText} (${actionText})`);
+  await sendReply(message, t(lang, 'relax_set', {
+    until: getZonedTime(until, settings.timezone).text,
+    timezone: settings.timezone,
+    action: t(lang, `window_action_${actionText}`)
+  }), env);
+}
+
+/**
+ * /report [reason] - sent as a reply by any member to flag a message the bot missed
+ * The reported message is checked with the detection rules again and removed if it is
+ * an external cross-channel reply the group deletes; anything else goes to the log chat,
+ * or to the admins in the group when no log chat is set. The command itself is deleted.
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments (optional reason)
+ * @param {Object} env - Environment variables
+ * @param {string} lang - Reply language
+ * @param {ExecutionContext} ctx - Execution context
+ * @returns {Promise<void>}
+ */
+async function handleReportCommand(message, args, env, lang, ctx) {
+  const chatId = message.chat.id;
+  const reporter = message.sender_chat || message.from;
+  const reported = message.reply_to_message;
+  const settings = await getGroupSettings(chatId, env);
+
+  await deleteMessageBatch(chatId, [message.message_id], env);
+
+  if (!reported) {
+    await sendReportNotice(message, null, t(lang, 'report_usage'), settings, env, ctx);
+    return;
+  }
+
+  // Tell a member they are rate limited once, then drop further reports silently
+  const count = await sharedIncrement(`report:${chatId}:${reporter.id}`, env, CONFIG.REPORT_WINDOW / 1000);
+  if (count > CONFIG.REPORT_LIMIT) {
+    console.warn(`🚫 Rate limited /report from ${reporter.id} in chat ${chatId}`);
+    if (count === CONFIG.REPORT_LIMIT + 1) {
+      await sendReportNotice(message, null, t(lang, 'report_rate_limited'), settings, env, ctx);
+    }
+    return;
+  }
+
+  console.log(`🚩 ${reporter.id} reported message ${reported.message_id} in chat ${chatId}`);
+  recordStat(chatId, 'reports', env, ctx);
+
+  // A re-check counts as an inspection, so /stats never shows more detections than inspections
+  let verdict = null;
+  if (settings.mode !== 'off') {
+    recordStat(chatId, 'inspected', env, ctx);
+    verdict = await evaluateRules(reported, settings, env);
+  }
+  if (verdict && verdict.isExternal) {
+    const action = resolveRuleAction(verdict, settings);
+    const exemption = await getSenderExemption(reported, settings, env);
+    if ((action === 'delete' || action === 'mute') && !exemption) {
+      console.log(`🎯 Report confirmed: message ${reported.message_id} in chat ${chatId} is from ${verdict.channelInfo.title}`);
+      recordStat(chatId, `detected_${verdict.replyType}`, env, ctx);
+      recordStat(chatId, 'reports_confirmed', env, ctx);
+      await deleteCrossChannelReply(reported, verdict, settings, env, ctx, false, action === 'mute');
+      return;
+    }
+  }
+
+  await forwardReport(message, verdict, args, settings, lang, env, ctx);
+}
+
+/**
+ * Pass a report the bot did not act on to the log chat or the group's admins
+ * @param {Object} message - The /report command message
+ * @param {Object|null} verdict - Verdict for the reported message, if any rule matched
+ * @param {string} reason - Reason given by the reporter
+ * @param {Object} settings - Effective settings for the group
+ * @param {string} lang - Message language
+ * @param {Object} env - Environment variables
+ * @param {ExecutionContext} ctx - Execution context
+ * @returns {Promise<void>}
+ */
+async function forwardReport(message, verdict, reason, settings, lang, env, ctx) {
+  const chatId = message.chat.id;
+  const reported = message.reply_to_message;
+
+  if (!settings.log_chat_id) {
+    // Mention the admins invisibly so they get notified without cluttering the group
+    const botInfo = await getBotInfo(env);
+    const adminIds = (await getChatAdminIds(chatId, env) || []).filter(id => !botInfo || id !== botInfo.id);
+    const mentions = adminIds.map(id => `<a href="tg://user?id=${id}">\u200b</a>`).join('');
+    const reporter = message.sender_chat ? message.sender_chat.title || '' : formatUserLabel(message.from);
+    const text = t(lang, 'report_admins', { reporter: escapeHtml(reporter) }) + mentions;
+    await sendReportNotice(message, reported, text, null, env, ctx);
+    return;
+  }
+
+  const copy = await makeApiRequest('forwardMessage', {
+    chat_id: settings.log_chat_id,
+    from_chat_id: chatId,
+    message_id: reported.message_id
+  }, env);
+
+  const result = verdict
+    ? `${t(lang, `reply_type_${verdict.replyType}`)} (${escapeHtml(verdict.channelInfo.title || '')}, ${verdict.policy})`
+    : t(lang, 'report_no_match');
+  const link = getMessageLink(message.chat, reported.message_id);
+  const lines = [
+    t(lang, 'report_title'),
+    t(lang, 'audit_group', { value: `${escapeHtml(message.chat.title || '')} <code>${chatId}</code>` }),
+    t(lang, 'report_reporter', { value: formatSenderHtml(message, lang) }),
+    t(lang, 'audit_user', { value: formatSenderHtml(reported, lang) }),
+    t(lang, 'audit_content', { value: escapeHtml(describeMessageContent(reported)) }),
+    t(lang, 'report_result', { value: result })
+  ];
+  if (reason) {
+    lines.push(t(lang, 'report_reason', { value: escapeHtml(reason) }));
+  }
+  if (link) {
+    lines.push(t(lang, 'report_link', { value: link }));
+  }
+
+  const sent = await makeApiRequest('sendMessage', {
+    chat_id: settings.log_chat_id,
+    text: lines.join('\n'),
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    ...(copy ? { reply_parameters: { message_id: copy.message_id, allow_sending_without_reply: true } } : {})
+  }, env);
+
+  if (sent === null) {
+    console.error(`❌ Failed to forward report from chat ${chatId} to log chat ${settings.log_chat_id}`);
+    return;
+  }
+  await sendReportNotice(message, reported, t(lang, 'report_sent'), settings, env, ctx);
+}
+
+/**
+ * Post a notice about a /report in the group, replacing the deleted command message
+ * @param {Object} message - The /report command message
+ * @param {Object|null} replyTarget - Message to reply to, if any
+ * @param {string} text - HTML notice text
+ * @param {Object|null} settings - Group settings to auto-delete the notice after warning_delay, or null to keep it
+ * @param {Object} env - Environment variables
+ * @param {ExecutionContext} ctx - Execution context
+ * @returns {Promise<void>}
+ */
+async function sendReportNotice(message, replyTarget, text, settings, env, ctx) {
+  const result = await makeApiRequest('sendMessage', {
+    chat_id: message.chat.id,
+    text,
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    ...(message.is_topic_message && message.message_thread_id ? { message_thread_id: message.message_thread_id } : {}),
+    ...(replyTarget ? { reply_parameters: { message_id: replyTarget.message_id, allow_sending_without_reply: true } } : {})
+  }, env);
+
+  if (result && settings && settings.warning_delay > 0) {
+    await scheduleMessageDeletion(message.chat.id, result.message_id, env, ctx, settings.warning_delay * 1000);
+  }
+}
+
+/**
+ * Build a t.me link to a message of a public group or supergroup
+ * @param {Object} chat - Telegram chat object
+ * @param {number} messageId - Message ID
+ * @returns {string|null} Link, or null for basic groups without a username
+ */
+function getMessageLink(chat, messageId) {
+  if (chat.username) {
+    return `https://t.me/${chat.username}/${messageId}`;
+  }
+  const id = String(chat.id);
+  return id.startsWith('-100') ? `https://t.me/c/${id.slice(4)}/${messageId}` : null;
+}
+
+/**
+ * Resolve the member a moderation command refers to
+ * Accepts a reply to the member's message, a text mention, a numeric user ID or an
+ * @username of a member who already has strikes in this group.
+ * @param {Object} message - Telegram message object
+ * @param {string} args - Command arguments
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} Target ({ id, label }) or null if not found
+ */
+async function resolveTargetUser(message, args, env) {
+  const mention = (message.entities || []).find(entity => entity.type === 'text_mention' && entity.user);
+  if (mention) {
+    return { id: mention.user.id, label: formatUserLabel(mention.user) };
+  }
+
+  const value = args.trim();
+  if (/^\d+$/.test(value)) {
+    return { id: Number(value), label: value };
+  }
+
+  const match = /^@([a-z0-9_]{4,32})$/i.exec(value);
+  if (match) {
+    const userId = await storageGet(`username:${message.chat.id}:${match[1].toLowerCase()}`, env);
+    return userId ? { id: userId, label: `@${match[1]}` } : null;
+  }
+
+  const repliedUser = message.reply_to_message && message.reply_to_message.from;
+  if (!value && repliedUser && !repliedUser.is_bot) {
+    return { id: repliedUser.id, label: formatUserLabel(repliedUser) };
+  }
+
+  return null;
+}
+
+/**
+ * Format a Telegram user for display
+ * @param {Object} user - Telegram user object
+ * @returns {string} @username or full name
+ */
+function formatUserLabel(user) {
+  if (user.username) {
+    return `@${user.username}`;
+  }
+  return [user.first_name, user.last_name].filter(Boolean).join(' ') || String(user.id);
+}
+
+/**
+ * Parse a channel reference typed by an admin
+ * @param {string} text - @username, t.me link or numeric chat ID
+ * @returns {Object|null} Channel entry ({ id, username, title }) or null if invalid
+ */
+function parseChannelReference(text) {
+  const value = text.trim();
+
+  if (/^-?\d+$/.test(value)) {
+    return { id: Number(value), username: null, title: null };
+  }
+
+  const match = /^(?:@|(?:https?:\/\/)?(?:t|telegram)\.me\/)([a-z][a-z0-9_]{3,31})\/?$/i.exec(value);
+  if (match) {
+    return { id: null, username: match[1], title: null };
+  }
+
+  return null;
+}
+
+/**
+ * Complete a channel reference with its ID and title using getChat
+ * Falls back to the reference as typed when the channel cannot be looked up.
+ * @param {Object} reference - Parsed channel reference
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Channel entry ({ id, username, title })
+ */
+async function resolveChannelEntry(reference, env) {
+  const chat = await makeApiRequest('getChat', {
+    chat_id: reference.id !== null ? reference.id : `@${reference.username}`
+  }, env);
+
+  if (!chat) {
+    console.warn(`⚠️ Could not resolve channel ${formatChannelEntry(reference)}, storing as typed`);
+    return reference;
+  }
+
+  return { id: chat.id, username: chat.username || reference.username, title: chat.title || null };
+}
+
+/**
+ * Find a channel in a channel list by ID or username
+ * @param {Array<Object>} list - Channel entries
+ * @param {Object} channel - Channel entry or channelInfo to look for
+ * @returns {Object|undefined} Matching entry
+ */
+function findChannelEntry(list, channel) {
+  return list.find(entry =>
+    (entry.id !== null && entry.id === channel.id) ||
+    (!!entry.username && !!channel.username && entry.username.toLowerCase() === channel.username.toLowerCase())
+  );
+}
+
+/**
+ * Format a channel entry for display
+ * @param {Object} entry - Channel entry
+ * @returns {string} Human-readable channel reference
+ */
+function formatChannelEntry(entry) {
+  const parts = [];
+  if (entry.title) parts.push(entry.title);
+  if (entry.username) parts.push(`@${entry.username}`);
+  if (entry.id !== null) parts.push(String(entry.id));
+  return parts.length > 1 ? `${parts[0]} (${parts.slice(1).join(', ')})` : parts[0];
+}
+
+/**
+ * Check whether the sender of a message is an administrator of its chat
+ * Anonymous admins post on behalf of the group itself (sender_chat.id === chat.id).
+ * @param {Object} message - Telegram message object
+ * @param {Object} env - Environment variables
+ * @returns {Promise<boolean>} Whether the sender is a chat administrator
+ */
+async function isChatAdmin(message, env) {
+  if (message.sender_chat && message.sender_chat.id === message.chat.id) {
+    return true;
+  }
+
+  if (!message.from) {
+    return false;
+  }
+
+  return isUserChatAdmin(message.chat.id, message.from.id, env);
+}
+
+/**
+ * Check whether a user is an administrator of a chat
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} userId - Telegram user ID
+ * @param {Object} env - Environment variables
+ * @returns {Promise<boolean>} Whether the user is a chat administrator
+ */
+async function isUserChatAdmin(chatId, userId, env) {
+  const member = await makeApiRequest('getChatMember', {
+    chat_id: chatId,
+    user_id: userId
+  }, env);
+
+  return !!member && (member.status === 'creator' || member.status === 'administrator');
+}
+
+/**
+ * Check whether the sender of a message is exempt from enforcement
+ * Anonymous admins, chat administrators (cached getChatAdministrators) and members
+ * on the group's trusted list are exempt.
+ * @param {Object} message - Telegram message object
+ * @param {Object} settings - Effective settings for the group
+ * @param {Object} env - Environment variables
+ * @returns {Promise<string|null>} Reason ('anonymous admin', 'admin', 'trusted') or null if not exempt
+ */
+async function getSenderExemption(message, settings, env) {
+  if (message.sender_chat && message.sender_chat.id === message.chat.id) {
+    return 'anonymous admin';
+  }
+
+  // Other sender chats (channels) only carry a placeholder bot in `from`
+  if (message.sender_chat || !message.from) {
+    return null;
+  }
+
+  if (settings.trusted_users.some(entry => entry.id === message.from.id)) {
+    return 'trusted';
+  }
+
+  const adminIds = await getChatAdminIds(message.chat.id, env);
+  return adminIds && adminIds.includes(message.from.id) ? 'admin' : null;
+}
+
+/**
+ * Get the user IDs of a chat's administrators (cached)
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array<number>|null>} Administrator user IDs or null if failed
+ */
+async function getChatAdminIds(chatId, env) {
+  const now = Date.now();
+  const cached = chatAdminsCache.get(chatId);
+  if (cached && now - cached.timestamp < CONFIG.ADMIN_CACHE_TTL) {
+    return cached.data;
+  }
+
+  const administrators = await makeApiRequest('getChatAdministrators', { chat_id: chatId }, env);
+  if (!administrators) {
+    // Keep using a stale list rather than enforcing on admins during API hiccups
+    return cached ? cached.data : null;
+  }
+
+  const adminIds = administrators.map(member => member.user.id);
+  chatAdminsCache.set(chatId, { data: adminIds, timestamp: now });
+  console.debug(`💾 Cached ${adminIds.length} administrator(s) for chat ${chatId}`);
+  return adminIds;
+}
+
+/**
+ * Reply to a message in the same chat
+ * @param {Object} message - Telegram message being replied to
+ * @param {string} text - Reply text
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} Sent message or null if failed
+ */
+async function sendReply(message, text, env) {
+  return makeApiRequest('sendMessage', {
+    chat_id: message.chat.id,
+    text,
+    reply_parameters: {
+      message_id: message.message_id,
+      allow_sending_without_reply: true
+    },
+    disable_web_page_preview: true
+  }, env);
+}
+
+/**
+ * Cross-channel detection rules, checked in order
+ * Each detector returns a verdict ({ channelInfo, policy }) for the channel a message
+ * references, or null when the rule does not apply. The first verdict ends the check,
+ * except for rules marked continueIfAllowed: their linked and allowed channels fall
+ * through to the remaining rules. Every rule can be switched off with its
+ * `detect_<id>` setting and mapped to an action with /rule.
+ */
+const DETECTION_RULES = [
+  {
+    // Message posted on behalf of a channel
+    id: 'sender_chat_post',
+    severity: 'high',
+    continueIfAllowed: true,
+    detect: (message, context) => message.sender_chat && message.sender_chat.type === 'channel'
+      ? channelVerdict(message.sender_chat, message.author_signature, context)
+      : null
+  },
+  {
+    // Channel post forwarded into the group
+    id: 'channel_forward',
+    severity: 'medium',
+    continueIfAllowed: true,
+    detect: (message, context) => {
+      const origin = getForwardOrigin(message);
+      return origin && origin.type === 'channel' && origin.chat
+        ? channelVerdict(origin.chat, origin.author_signature, context)
+        : null;
+    }
+  },
+  {
+    // Text or caption links to a channel post; the first external link is reported
+    id: 'channel_link',
+    severity: 'low',
+    continueIfAllowed: true,
+    detect: async (message, context) => {
+      let verdict = null;
+      for (const link of findChannelPostLinks(message)) {
+        const linkedChat = await resolveLinkedChat(link, context.env);
+        if (!linkedChat || linkedChat.id === message.chat.id) {
+          continue; // Not a channel, or a link to a message of this group
+        }
+        verdict = channelVerdict(linkedChat, null, context);
+        if (verdict.policy === 'external' || verdict.policy === 'blocked') {
+          break;
+        }
+      }
+      return verdict;
+    }
+  },
+  {
+    // Reply quoting part of a post from outside the group
+    id: 'external_quote',
+    severity: 'high',
+    detect: (message, context) => {
+      const external = message.quote ? getExternalReplyChannel(message) : null;
+      return external ? channelVerdict(external.chat, external.signature, context) : null;
+    }
+  },
+  {
+    // Reply to a channel post from outside the group
+    id: 'external_reply',
+    severity: 'high',
+    detect: (message, context) => {
+      const external = message.quote ? null : getExternalReplyChannel(message);
+      return external ? channelVerdict(external.chat, external.signature, context) : null;
+    }
+  },
+  {
+    // Reply to a channel story
+    id: 'story_reply',
+    severity: 'medium',
+    detect: (message, context) => {
+      const story = message.reply_to_story;
+      return story && story.chat && story.chat.type === 'channel' ? channelVerdict(story.chat, null, context) : null;
+    }
+  },
+  {
+    // Reply to a message forwarded from a channel
+    id: 'forward_from_channel',
+    severity: 'medium',
+    detect: (message, context) => {
+      const origin = getReplyOrigin(message);
+      return origin && origin.type === 'channel' && origin.chat
+        ? channelVerdict(origin.chat, origin.author_signature, context)
+        : null;
+    }
+  },
+  {
+    // Reply to a message sent by a channel
+    id: 'sender_chat_channel',
+    severity: 'medium',
+    detect: (message, context) => {
+      const reply = message.reply_to_message;
+      return reply && reply.sender_chat && reply.sender_chat.type === 'channel'
+        ? channelVerdict(reply.sender_chat, reply.author_signature, context)
+        : null;
+    }
+  },
+  {
+    // Reply to any other forward (users, hidden origin, other chats), always external
+    id: 'hidden_forward',
+    severity: 'low',
+    detect: message => {
+      const origin = getReplyOrigin(message);
+      if (!origin || (origin.type === 'channel' && origin.chat) || !(origin.date || origin.sender_user_name)) {
+        return null;
+      }
+      return {
+        channelInfo: { id: null, title: origin.sender_user_name || 'Hidden Source', username: null, signature: null },
+        policy: 'external'
+      };
+    }
+  },
+  {
+    // Reply to a message that only carries a channel signature (always external)
+    id: 'channel_signature',
+    severity: 'low',
+    detect: message => {
+      const origin = getReplyOrigin(message);
+      if (!origin || origin.type !== 'channel' || origin.chat || !origin.author_signature) {
+        return null;
+      }
+      return {
+        channelInfo: { id: null, title: `Channel (signature: ${origin.author_signature})`, username: null, signature: origin.author_signature },
+        policy: 'external'
+      };
+    }
+  }
+];
+
+/**
+ * Rule severities, from most to least serious
+ */
+const RULE_SEVERITIES = ['high', 'medium', 'low'];
+
+/**
+ * Actions a rule can be mapped to with /rule (delete is the default)
+ */
+const RULE_ACTIONS = ['allow', 'monitor', 'log', 'warn', 'delete', 'mute'];
+
+/**
+ * Detect if a message is a cross-channel reply
+ * Both legacy forward_* fields and Bot API 7+ MessageOrigin objects are understood;
+ * they are normalized with getForwardOrigin() so either payload format yields the
+ * same replyType and channelInfo.
+ */
+export async function detectCrossChannelReply(message, env) {
+  const settings = await getGroupSettings(message.chat.id, env);
+  const verdict = await evaluateRules(message, settings, env);
+  if (!verdict) {
+    return { isCrossChannel: false, isExternal: false, channelInfo: {}, replyType: 'none' };
+  }
+
+  const { isCrossChannel, isExternal, channelInfo, replyType } = verdict;
+  return { isCrossChannel, isExternal, channelInfo, replyType };
+}
+
+/**
+ * Run a message through the enabled detection rules
+ * @param {Object} message - Telegram message object
+ * @param {Object} settings - Effective settings for the group
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} Verdict ({ isCrossChannel, isExternal, channelInfo, replyType, severity, policy }) or null
+ */
+async function evaluateRules(message, settings, env) {
+  // Linked and listed channels are decided against the current chat info and group settings
+  const context = {
+    currentChatInfo: await getChatInfo(message.chat.id, env),
+    settings,
+    env
+  };
+
+  for (const rule of DETECTION_RULES) {
+    if (settings[`detect_${rule.id}`] === false) {
+      continue;
+    }
+
+    const verdict = await rule.detect(message, context);
+    if (!verdict) {
+      continue;
+    }
+
+    // Blocked and unknown channels are external; linked and allowlisted channels are allowed
+    const isExternal = verdict.policy === 'external' || verdict.policy === 'blocked';
+    console.log(`Message ${message.message_id} (${rule.id}) references ${verdict.policy.toUpperCase()} channel ${verdict.channelInfo.title}`);
+    if (!isExternal && rule.continueIfAllowed) {
+      continue;
+    }
+
+    return {
+      isCrossChannel: true,
+      isExternal,
+      channelInfo: verdict.channelInfo,
+      replyType: rule.id,
+      severity: rule.severity,
+      policy: verdict.policy
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build a rule verdict for a channel chat
+ * @param {Object} channelChat - Channel chat object
+ * @param {string|undefined} signature - Post author signature, if any
+ * @param {Object} context - Group context ({ currentChatInfo, settings, env })
+ * @returns {Object} Verdict ({ channelInfo, policy })
+ */
+function channelVerdict(channelChat, signature, context) {
+  const channelInfo = buildChannelInfo(channelChat, signature);
+  return { channelInfo, policy: getChannelPolicy(channelInfo, context) };
+}
+
+/**
+ * Find the channel behind a reply to a message from outside the group
+ * @param {Object} message - Telegram message object
+ * @returns {Object|null} { chat, signature } or null if the reply is not to a channel
+ */
+function getExternalReplyChannel(message) {
+  const externalReply = message.external_reply;
+  if (!externalReply) {
+    return null;
+  }
+
+  const origin = externalReply.origin || null;
+  const chat = externalReply.chat && externalReply.chat.type === 'channel'
+    ? externalReply.chat
+    : (origin && origin.type === 'channel' ? origin.chat : null);
+  return chat ? { chat, signature: origin ? origin.author_signature : null } : null;
+}
+
+/**
+ * Get the forward origin of the message being replied to
+ * @param {Object} message - Telegram message object
+ * @returns {Object|null} MessageOrigin or null if the message is not a reply to a forward
+ */
+function getReplyOrigin(message) {
+  return message.reply_to_message ? getForwardOrigin(message.reply_to_message) : null;
+}
+
+/**
+ * Find the action a group takes for a rule
+ * A rule ID mapping wins over a severity mapping; unmapped rules delete.
+ * @param {string} ruleId - Detection rule ID
+ * @param {string} severity - Rule severity
+ * @param {Object} settings - Effective settings for the group
+ * @returns {string} One of RULE_ACTIONS
+ */
+function getRuleAction(ruleId, severity, settings) {
+  const actions = settings.rule_actions || {};
+  return actions[ruleId] || actions[severity] || 'delete';
+}
+
+/**
+ * Decide what to do with an external verdict in a group
+ * An active enforcement window or /relax can only soften the rule's action. Blocked
+ * channels are never let through, and monitor mode only records.
+ * @param {Object} verdict - Verdict from evaluateRules
+ * @param {Object} settings - Effective settings for the group
+ * @returns {string} One of RULE_ACTIONS
+ */
+function resolveRuleAction(verdict, settings) {
+  let action = getRuleAction(verdict.replyType, verdict.severity, settings);
+  if (action === 'allow' && verdict.policy === 'blocked') {
+    action = 'delete';
+  }
+  const relaxation = getEnforcementRelaxation(settings, Date.now());
+  if (relaxation && RULE_ACTIONS.indexOf(relaxation.action) < RULE_ACTIONS.indexOf(action)
+    && !(relaxation.action === 'allow' && verdict.policy === 'blocked')) {
+    console.log(`⏰ Enforcement relaxed by ${relaxation.source}: ${action} → ${relaxation.action}`);
+    action = relaxation.action;
+  }
+  if (action !== 'allow' && settings.mode === 'monitor') {
+    action = 'monitor';
+  }
+  return action;
+}
+
+/**
+ * Actions enforcement windows and /relax can switch to
+ */
+const RELAX_ACTIONS = ['allow', 'log'];
+
+/**
+ * Weekday names as used by /schedule, indexed like Date.prototype.getDay()
+ */
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Find the relaxation in effect for a group at a point in time
+ * /relax takes precedence over the weekly enforcement windows.
+ * @param {Object} settings - Effective settings for the group
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {Object|null} { source: 'relax'|'window', action, until?, index? } or null when enforcing normally
+ */
+function getEnforcementRelaxation(settings, now) {
+  if (settings.relax && settings.relax.until > now) {
+    return { source: 'relax', action: settings.relax.action, until: settings.relax.until };
+  }
+  if (settings.enforcement_windows.length === 0) {
+    return null;
+  }
+
+  const local = getZonedTime(now, settings.timezone);
+  const index = settings.enforcement_windows.findIndex(window => isWindowActive(window, local.day, local.minutes));
+  return index === -1 ? null : { source: 'window', action: settings.enforcement_windows[index].action, index: index + 1 };
+}
+
+/**
+ * Check whether a weekly window covers a local time
+ * Windows ending before they start run past midnight into the next day.
+ * @param {Object} window - Enforcement window ({ days, start, end })
+ * @param {number} day - Local weekday (0 = Sunday)
+ * @param {number} minutes - Minutes since local midnight
+ * @returns {boolean} Whether the window is active
+ */
+function isWindowActive(window, day, minutes) {
+  const start = parseClockTime(window.start);
+  const end = parseClockTime(window.end);
+  if (start < end) {
+    return window.days.includes(day) && minutes >= start && minutes < end;
+  }
+  return (window.days.includes(day) && minutes >= start)
+    || (window.days.includes((day + 6) % 7) && minutes < end);
+}
+
+/**
+ * Convert a timestamp to wall-clock time in a time zone
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} { day, minutes, text } with text formatted as YYYY-MM-DD HH:MM
+ */
+function getZonedTime(timestamp, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  for (const part of formatter.formatToParts(new Date(timestamp))) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    text: `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * Parse an HH:MM clock time
+ * @param {string} text - Time as typed, e.g. 9:00 or 21:30
+ * @returns {number|null} Minutes since midnight, or null if invalid
+ */
+function parseClockTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Parse the days of an enforcement window
+ * Accepts daily, weekdays, weekends and comma-separated days or ranges (mon-fri, fri-sun, sat).
+ * @param {string} text - Days as typed
+ * @returns {number[]|null} Sorted weekday numbers, or null if invalid
+ */
+function parseWindowDays(text) {
+  const aliases = { daily: 'sun-sat', weekdays: 'mon-fri', weekends: 'sat,sun' };
+  const days = new Set();
+  for (const item of (aliases[text] || text).split(',')) {
+    const [first, last = first] = item.split('-').map(name => WEEKDAYS.indexOf(name));
+    if (first === -1 || last === -1) {
+      return null;
+    }
+    for (let day = first; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === last) break;
+    }
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Format the days of an enforcement window for display, Monday first
+ * @param {number[]} days - Weekday numbers
+ * @returns {string} e.g. daily or mon,tue,wed
+ */
+function formatWindowDays(days) {
+  if (days.length === 7) {
+    return 'daily';
+  }
+  return [...days].sort((a, b) => (a + 6) % 7 - (b + 6) % 7).map(day => WEEKDAYS[day]).join(',');
+}
+
+/**
+ * Normalize an IANA time zone name
+ * @param {string} text - Time zone as typed
+ * @returns {string|null} Canonical time zone name, or null if unknown
+ */
+function normalizeTimeZone(text) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decide how a channel is treated in a group
+ * The blocklist takes precedence over the linked channel and the allowlist.
+ * @param {Object} channelInfo - Channel info ({ id, username, ... })
+ * @param {Object} context - Group context ({ currentChatInfo, settings, env })
+ * @returns {string} 'blocked', 'linked', 'allowed' or 'external'
+ */
+function getChannelPolicy(channelInfo, context) {
+  const { currentChatInfo, settings } = context;
+
+  if (findChannelEntry(settings.blocked_channels, channelInfo)) {
+    return 'blocked';
+  }
+  if (currentChatInfo && isLinkedChannel(currentChatInfo, channelInfo.id)) {
+    return 'linked';
+  }
+  if (findChannelEntry(settings.allowed_channels, channelInfo)) {
+    return 'allowed';
+  }
+  return 'external';
+}
+
+/**
+ * Build the channelInfo object reported by detectCrossChannelReply
+ * @param {Object} chat - Telegram chat object
+ * @param {string|undefined} signature - Post author signature, if any
+ * @returns {Object} Channel info ({ id, title, username, signature })
+ */
+function buildChannelInfo(chat, signature) {
+  return {
+    id: chat.id,
+    title: chat.title || 'Unknown Channel',
+    username: chat.username || null,
+    signature: signature || null
+  };
+}
+
+/**
+ * Get the forward origin of a message as a Bot API 7+ MessageOrigin
+ * Payloads without forward_origin have their legacy forward_* fields mapped to the
+ * equivalent origin type (channel, chat, user or hidden_user).
+ * @param {Object} message - Telegram message object
+ * @returns {Object|null} MessageOrigin or null if the message is not a forward
+ */
+function getForwardOrigin(message) {
+  if (message.forward_origin) {
+    return message.forward_origin;
+  }
+
+  const date = message.forward_date;
+
+  if (message.forward_from_chat) {
+    const forwardChat = message.forward_from_chat;
+    if (forwardChat.type === 'channel') {
+      return {
+        type: 'channel',
+        date,
+        chat: forwardChat,
+        message_id: message.forward_from_message_id,
+        author_signature: message.forward_signature
+      };
+    }
+    return {
+      type: 'chat',
+      date,
+      sender_chat: forwardChat,
+      author_signature: message.forward_signature
+    };
+  }
+
+  if (message.forward_from) {
+    return { type: 'user', date, sender_user: message.forward_from };
+  }
+
+  // Signature without the channel itself: keep it as a channel origin with unknown chat
+  if (message.forward_signature) {
+    return { type: 'channel', date, chat: null, author_signature: message.forward_signature };
+  }
+
+  if (message.forward_sender_name || date) {
+    return { type: 'hidden_user', date, sender_user_name: message.forward_sender_name };
+  }
+
+  return null;
+}
+
+/**
+ * Find links to channel posts (t.me/<channel>/<post> or t.me/c/<id>/<post>) in a
+ * message's text or caption entities
+ * @param {Object} message - Telegram message object
+ * @returns {Array<Object>} Linked chats ({ id, username }), without duplicates
+ */
+function findChannelPostLinks(message) {
+  const text = message.text || message.caption || '';
+  const entities = message.entities || message.caption_entities || [];
+  const links = [];
+
+  for (const entity of entities) {
+    let url = null;
+    if (entity.type === 'text_link') {
+      url = entity.url;
+    } else if (entity.type === 'url') {
+      url = text.slice(entity.offset, entity.offset + entity.length);
+    }
+
+    const match = url && /^(?:https?:\/\/)?(?:t|telegram)\.me\/(?:c\/(\d+)|([a-z][a-z0-9_]{3,31}))\/\d+/i.exec(url);
+    if (!match) {
+      continue;
+    }
+
+    const link = match[1] ? { id: Number(`-100${match[1]}`), username: null } : { id: null, username: match[2] };
+    if (!links.some(existing => findChannelEntry([existing], link))) {
+      links.push(link);
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Look up the chat a post link points to
+ * Links the bot cannot look up, and links to groups, are ignored to avoid false positives.
+ * @param {Object} link - Linked chat ({ id, username })
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} Channel chat object, or null if the link is not to a channel
+ */
+async function resolveLinkedChat(link, env) {
+  const chat = await getChatInfo(link.id !== null ? link.id : `@${link.username}`, env);
+  return chat && chat.type === 'channel' ? chat : null;
+}
+
+/**
+ * Check if a channel is linked to the current chat
+ */
+function isLinkedChannel(groupChat, channelChatId) {
+  // Check if the group has a linked channel and it matches the channel ID
+  return groupChat.linked_chat_id && groupChat.linked_chat_id === channelChatId;
+}
+
+/**
+ * Make API request to Telegram Bot API with retry logic and timeout
+ * @param {string} method - API method name
+ * @param {Object} params - Parameters for the API call
+ * @param {Object} env - Environment variables
+ * @param {AbortSignal|null} signal - Cancels the request (and any retries) when aborted
+ * @param {number} retryCount - Current retry attempt (for internal use)
+ * @returns {Promise<Object|null>} API response data or null if failed
+ */
+export async function makeApiRequest(method, params = {}, env, signal = null, retryCount = 0) {
+  const apiUrl = (env.TELEGRAM_API_URL || CONFIG.TELEGRAM_API_URL).replace(/\/+$/, '');
+  const url = `${apiUrl}/bot${env.BOT_TOKEN}/${method}`;
+  if (signal && signal.aborted) {
+    return null; // Cancelled while waiting to retry
+  }
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  
+  try {
+    const timeoutId = setTimeout(cancel, CONFIG.REQUEST_TIMEOUT);
+    if (signal) {
+      signal.addEventListener('abort', cancel, { once: true });
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params),
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    
+    if (data.ok) {
+      return data.result;
+    } else {
+      console.warn(`⚠️ Telegram API error for ${method}:`, data);
+      
+      // Retry on specific error codes
+      if (retryCount < CONFIG.MAX_RETRIES && isRetryableError(data.error_code) && !(signal && signal.aborted)) {
+        const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff
+        console.log(`🔄 Retrying ${method} in ${delay}ms (attempt ${retryCount + 1}/${CONFIG.MAX_RETRIES})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return makeApiRequest(method, params, env, signal, retryCount + 1);
+      }
+      
+      return null;
+    }
+  } catch (error) {
+    if (signal && signal.aborted) {
+      console.debug(`🛑 ${method} request cancelled`);
+      return null;
+    }
+    if (error.name === 'AbortError') {
+      console.error(`⏰ Request timeout for ${method}`);
+    } else {
+      console.error(`❌ Network error for ${method}:`, error);
+    }
+
+    // Retry on network errors
+    if (retryCount < CONFIG.MAX_RETRIES) {
+      const delay = Math.pow(2, retryCount) * 1000;
+      console.log(`🔄 Retrying ${method} in ${delay}ms (attempt ${retryCount + 1}/${CONFIG.MAX_RETRIES})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return makeApiRequest(method, params, env, signal, retryCount + 1);
+    }
+
+    return null;
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+/**
+ * Check if an error code is retryable
+ * @param {number} errorCode - Telegram API error code
+ * @returns {boolean} Whether the error is retryable
+ */
+function isRetryableError(errorCode) {
+  // Retry on rate limiting and temporary server errors
+  return [429, 502, 503, 504].includes(errorCode);
+}
+
+/**
+ * Get chat information with caching and retry logic
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} Chat information or null if failed
+ */
+async function getChatInfo(chatId, env) {
+  const cacheKey = `chat_${chatId}`;
+  const now = Date.now();
+
+  // Check cache first
+  if (chatInfoCache.has(cacheKey)) {
+    const cached = chatInfoCache.get(cacheKey);
+    if (now - cached.timestamp < CONFIG.CACHE_TTL) {
+      console.debug(`📋 Using cached chat info for ${chatId}`);
+      return cached.data;
+    } else {
+      chatInfoCache.delete(cacheKey);
+    }
+  }
+
+  try {
+    // Other isolates may already have fetched it
+    const sharedKey = `chat_info:${chatId}`;
+    let chatInfo = getSharedStateBackend(env) !== 'memory' ? await sharedGet(sharedKey, env) : null;
+    
+    if (!chatInfo) {
+      chatInfo = await makeApiRequest('getChat', { chat_id: chatId }, env);
+      if (chatInfo && getSharedStateBackend(env) !== 'memory') {
+        await sharedPut(sharedKey, chatInfo, env, CONFIG.CACHE_TTL / 1000);
+      }
+    }
+    
+    if (chatInfo) {
+      // Cache successful result
+      chatInfoCache.set(cacheKey, {
+        data: chatInfo,
+        timestamp: now
+      });
+      console.debug(`💾 Cached chat info for ${chatId}`);
+    }
+    
+    return chatInfo;
+  } catch (error) {
+    console.error(`❌ Error getting chat info for ${chatId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get this bot's own user info (cached)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} Bot user object or null if failed
+ */
+async function getBotInfo(env) {
+  const now = Date.now();
+  if (botInfoCache && now - botInfoCache.timestamp < CONFIG.BOT_INFO_CACHE_TTL) {
+    return botInfoCache.data;
+  }
+
+  const botInfo = await makeApiRequest('getMe', {}, env);
+  if (botInfo) {
+    botInfoCache = { data: botInfo, timestamp: now };
+  }
+
+  return botInfo;
+}
+
+/**
+ * Read a JSON value from the BOT_KV namespace (in-memory fallback when unbound)
+ * @param {string} key - Storage key
+ * @param {Object} env - Environment variables
+ * @returns {Promise<any>} Stored value or null
+ */
+export async function storageGet(key, env) {
+  if (env.BOT_KV) {
+    return env.BOT_KV.get(key, 'json');
+  }
+
+  const entry = memoryStore.get(key);
+  if (!entry) {
+    return null;
+  }
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return JSON.parse(entry.value);
+}
+
+/**
+ * Write a JSON value to the BOT_KV namespace (in-memory fallback when unbound)
+ * @param {string} key - Storage key
+ * @param {any} value - JSON-serializable value
+ * @param {Object} env - Environment variables
+ * @param {number} [ttlSeconds] - Optional expiration (KV requires at least 60 seconds)
+ * @returns {Promise<void>}
+ */
+export async function storagePut(key, value, env, ttlSeconds) {
+  if (env.BOT_KV) {
+    const options = ttlSeconds ? { expirationTtl: Math.max(ttlSeconds, 60) } : undefined;
+    await env.BOT_KV.put(key, JSON.stringify(value), options);
+    return;
+  }
+  memoryStore.set(key, {
+    value: JSON.stringify(value),
+    expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+  });
+}
+
+/**
+ * Delete a value from the BOT_KV namespace (in-memory fallback when unbound)
+ * @param {string} key - Storage key
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+export async function storageDelete(key, env) {
+  if (env.BOT_KV) {
+    await env.BOT_KV.delete(key);
+    return;
+  }
+  memoryStore.delete(key);
+}
+
+/**
+ * List keys with a prefix in the BOT_KV namespace (in-memory fallback when unbound)
+ * Keys are returned in lexicographic order, like KV does.
+ * @param {string} prefix - Key prefix
+ * @param {Object} env - Environment variables
+ * @param {number} limit - Maximum number of keys to return
+ * @returns {Promise<Array<string>>} Matching key names
+ */
+export async function storageList(prefix, env, limit = 1000) {
+  if (env.BOT_KV) {
+    const keys = [];
+    let cursor;
+    do {
+      const page = await env.BOT_KV.list({ prefix, cursor, limit: Math.min(limit - keys.length, 1000) });
+      keys.push(...page.keys.map(key => key.name));
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor && keys.length < limit);
+    return keys;
+  }
+
+  const now = Date.now();
+  return [...memoryStore.entries()]
+    .filter(([key, entry]) => key.startsWith(prefix) && (!entry.expiresAt || entry.expiresAt > now))
+    .map(([key]) => key)
+    .sort()
+    .slice(0, limit);
+}
+
+/**
+ * Pick the shared state backend: a SHARED_STATE Durable Object, the BOT_KV
+ * namespace, or none (per-isolate memory)
+ * @param {Object} env - Environment variables
+ * @returns {string} 'durable_object', 'kv' or 'memory'
+ */
+export function getSharedStateBackend(env) {
+  if (env.SHARED_STATE) {
+    return 'durable_object';
+  }
+  return env.BOT_KV ? 'kv' : 'memory';
+}
+
+/**
+ * Send an operation to the SharedState Durable Object owning a key
+ * @param {Object} env - Environment variables
+ * @param {Object} operation - Operation ({ op, key, value, ttlSeconds })
+ * @returns {Promise<any>} Resulting value
+ */
+async function callSharedState(env, operation) {
+  const stub = env.SHARED_STATE.get(env.SHARED_STATE.idFromName(operation.key));
+  const response = await stub.fetch('https://shared-state/', {
+    method: 'POST',
+    body: JSON.stringify(operation)
+  });
+  if (!response.ok) {
+    throw new Error(`SharedState ${operation.op} failed with status ${response.status}`);
+  }
+  return (await response.json()).value;
+}
+
+/**
+ * Read a value from the shared state store
+ * @param {string} key - State key
+ * @param {Object} env - Environment variables
+ * @returns {Promise<any>} Stored value or null
+ */
+async function sharedGet(key, env) {
+  if (getSharedStateBackend(env) === 'durable_object') {
+    return callSharedState(env, { op: 'get', key });
+  }
+  return storageGet(key, env);
+}
+
+/**
+ * Write a value to the shared state store
+ * @param {string} key - State key
+ * @param {any} value - JSON-serializable value
+ * @param {Object} env - Environment variables
+ * @param {number} ttlSeconds - Expiration
+ * @returns {Promise<void>}
+ */
+async function sharedPut(key, value, env, ttlSeconds) {
+  if (getSharedStateBackend(env) === 'durable_object') {
+    await callSharedState(env, { op: 'put', key, value, ttlSeconds });
+    return;
+  }
+  await storagePut(key, value, env, ttlSeconds);
+}
+
+/**
+ * Add a set of named counters to a record in the shared state store
+ * Like sharedIncrement, the Durable Object adds atomically while KV may lose
+ * concurrent updates. The expiry is set when the record is created.
+ * @param {string} key - Record key
+ * @param {Object} counters - Increments keyed by counter name
+ * @param {Object} env - Environment variables
+ * @param {number} [ttlSeconds] - Optional expiration
+ * @returns {Promise<Object>} Counters after the update
+ */
+async function sharedAddCounters(key, counters, env, ttlSeconds) {
+  if (getSharedStateBackend(env) === 'durable_object') {
+    return callSharedState(env, { op: 'add', key, value: counters, ttlSeconds });
+  }
+
+  const stored = await storageGet(key, env) || {};
+  for (const [name, value] of Object.entries(counters)) {
+    stored[name] = (stored[name] || 0) + value;
+  }
+  await storagePut(key, stored, env, ttlSeconds);
+  return stored;
+}
+
+/**
+ * Delete a value from the shared state store
+ * @param {string} key - State key
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+async function sharedDelete(key, env) {
+  if (getSharedStateBackend(env) === 'durable_object') {
+    await callSharedState(env, { op: 'delete', key });
+    return;
+  }
+  await storageDelete(key, env);
+}
+
+/**
+ * Record an event in a sliding window in the shared state store
+ * Events are kept as a list of timestamps and each one expires on its own
+ * `windowSeconds` after it happened. Like sharedIncrement, the Durable Object
+ * records atomically while KV may lose concurrent events.
+ * @param {string} key - Event list key
+ * @param {Object} env - Environment variables
+ * @param {number} windowSeconds - How long each event is remembered
+ * @returns {Promise<number>} Events within the window, including this one
+ */
+async function sharedRecordEvent(key, env, windowSeconds) {
+  if (getSharedStateBackend(env) === 'durable_object') {
+    return callSharedState(env, { op: 'record', key, ttlSeconds: windowSeconds });
+  }
+
+  const now = Date.now();
+  const timestamps = [...(await storageGet(key, env) || []).filter(ts => ts > now - windowSeconds * 1000), now];
+  await storagePut(key, timestamps, env, windowSeconds);
+  return timestamps.length;
+}
+
+/**
+ * Count the events recorded by sharedRecordEvent that are still within the window
+ * @param {string} key - Event list key
+ * @param {Object} env - Environment variables
+ * @param {number} windowSeconds - How long each event is remembered
+ * @returns {Promise<number>} Events within the window, 0 if none
+ */
+async function sharedCountEvents(key, env, windowSeconds) {
+  const windowStart = Date.now() - windowSeconds * 1000;
+  return (await sharedGet(key, env) || []).filter(ts => ts > windowStart).length;
+}
+
+/**
+ * Increment a fixed-window counter in the shared state store
+ * The Durable Object increments atomically; with KV concurrent requests may be
+ * undercounted, which is good enough for abuse protection.
+ * @param {string} key - Counter key
+ * @param {Object} env - Environment variables
+ * @param {number} ttlSeconds - Window length
+ * @returns {Promise<number>} Count in the current window, including this call
+ */
+export async function sharedIncrement(key, env, ttlSeconds) {
+  if (getSharedStateBackend(env) === 'durable_object') {
+    return callSharedState(env, { op: 'increment', key, ttlSeconds });
+  }
+
+  const now = Date.now();
+  const stored = await storageGet(key, env);
+  const counter = stored && stored.resetAt > now ? stored : { count: 0, resetAt: now + ttlSeconds * 1000 };
+  counter.count++;
+  await storagePut(key, counter, env, Math.ceil((counter.resetAt - now) / 1000));
+  return counter.count;
+}
+
+/**
+ * Load the settings overrides stored for a group
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Overrides keyed by setting name
+ */
+async function loadGroupSettingsOverrides(chatId, env) {
+  try {
+    const stored = await storageGet(`settings:${chatId}`, env);
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (error) {
+    console.error(`❌ Error loading settings for ${chatId}:`, error);
+    return {};
+  }
+}
+
+/**
+ * Persist settings overrides for a group and invalidate the local cache
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {Object} overrides - Overrides keyed by setting name
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+export async function saveGroupSettingsOverrides(chatId, overrides, env) {
+  const key = `settings:${chatId}`;
+  if (Object.keys(overrides).length === 0) {
+    await storageDelete(key, env);
+  } else {
+    await storagePut(key, overrides, env);
+  }
+  groupSettingsCache.delete(chatId);
+}
+
+/**
+ * Get effective settings for a group (schema defaults merged with stored overrides)
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Effective settings keyed by setting name
+ */
+async function getGroupSettings(chatId, env) {
+  const now = Date.now();
+  const cached = groupSettingsCache.get(chatId);
+  if (cached && now - cached.timestamp < CONFIG.SETTINGS_CACHE_TTL) {
+    return cached.data;
+  }
+
+  const overrides = await loadGroupSettingsOverrides(chatId, env);
+  const settings = {};
+  for (const [key, schema] of Object.entries(GROUP_SETTINGS_SCHEMA)) {
+    settings[key] = key in overrides ? overrides[key] : schema.default;
+  }
+
+  groupSettingsCache.set(chatId, { data: settings, timestamp: now });
+  return settings;
+}
+
+/**
+ * Parse and validate a raw setting value against the schema
+ * @param {string} key - Setting name
+ * @param {string} rawValue - Value as typed by the admin
+ * @param {string} lang - Language for error messages
+ * @returns {Object} { value } on success or { error } on failure
+ */
+function parseSettingValue(key, rawValue, lang) {
+  const schema = GROUP_SETTINGS_SCHEMA[key];
+  if (!schema || schema.internal) {
+    return { error: t(lang, 'setting_unknown', { key }) };
+  }
+
+  if (schema.managedBy) {
+    return { error: t(lang, 'setting_managed', { key, commands: schema.managedBy }) };
+  }
+
+  switch (schema.type) {
+    case 'boolean': {
+      const normalized = rawValue.toLowerCase();
+      if (['on', 'true', 'yes', '1'].includes(normalized)) return { value: true };
+      if (['off', 'false', 'no', '0'].includes(normalized)) return { value: false };
+      return { error: t(lang, 'setting_boolean', { key }) };
+    }
+    case 'integer': {
+      const value = Number(rawValue);
+      if (!Number.isInteger(value) || value < schema.min || value > schema.max) {
+        return { error: t(lang, 'setting_integer', { key, min: schema.min, max: schema.max }) };
+      }
+      return { value };
+    }
+    case 'string': {
+      if (rawValue.length > schema.maxLength) {
+        return { error: t(lang, 'setting_too_long', { key, max: schema.maxLength }) };
+      }
+      if (schema.placeholders) {
+        const unknown = [...rawValue.matchAll(/\{(\w+)\}/g)]
+          .map(match => match[1])
+          .filter(name => !schema.placeholders.includes(name));
+        if (unknown.length > 0) {
+          return {
+            error: t(lang, 'setting_placeholder_unknown', {
+              key,
+              names: unknown.map(name => `{${name}}`).join(' '),
+              available: schema.placeholders.map(name => `{${name}}`).join(' ')
+            })
+          };
+        }
+      }
+      return { value: rawValue };
+    }
+    default:
+      return { error: t(lang, 'setting_type_unsupported', { type: schema.type }) };
+  }
+}
+
+/**
+ * Format a setting value for display
+ * @param {any} value - Setting value
+ * @param {string} lang - Display language
+ * @returns {string} Human-readable value
+ */
+function formatSettingValue(value, lang) {
+  if (typeof value === 'boolean') {
+    return value ? 'on' : 'off';
+  }
+  if (Array.isArray(value)) {
+    return t(lang, 'value_items', { count: value.length });
+  }
+  if (value === null) {
+    return t(lang, 'value_unset');
+  }
+  if (typeof value === 'object') {
+    return t(lang, 'value_items', { count: Object.keys(value).length });
+  }
+  return String(value);
+}
+
+/**
+ * Record a strike for the sender of a removed message and escalate for repeat offenders
+ * Each strike is kept in shared state and expires on its own `strike_window` hours
+ * later, so concurrent deletions on different isolates all count. Messages sent on
+ * behalf of a chat (sender_chat) have no member to penalize.
+ * @param {Object} message - Telegram message object
+ * @param {Object} settings - Effective settings for the group
+ * @param {Object} env - Environment variables
+ * @param {boolean} forceMute - Whether to mute below the mute_after threshold (rule action mute)
+ * @returns {Promise<Object|null>} Strike result ({ count, penalty, applied }) or null
+ */
+async function applyStrikePenalty(message, settings, env, forceMute = false) {
+  if (!message.from || message.sender_chat) {
+    return null;
+  }
+
+  const chatId = message.chat.id;
+  const user = message.from;
+  const ttlSeconds = settings.strike_window * 3600;
+
+  try {
+    const count = await sharedRecordEvent(`strikes:${chatId}:${user.id}`, env, ttlSeconds);
+
+    // Remember the username so admins can use /strikes @username
+    if (user.username) {
+      await storagePut(`username:${chatId}:${user.username.toLowerCase()}`, user.id, env, ttlSeconds);
+    }
+
+    console.log(`📈 User ${user.id} has ${count} strike(s) in chat ${chatId}`);
+
+    if (settings.ban_after > 0 && count >= settings.ban_after) {
+      const applied = await makeApiRequest('banChatMember', {
+        chat_id: chatId,
+        user_id: user.id
+      }, env) !== null;
+
+      console.log(`${applied ? '🔨 Banned' : '❌ Failed to ban'} user ${user.id} in chat ${chatId}`);
+      if (applied) {
+        await sharedDelete(`strikes:${chatId}:${user.id}`, env);
+      }
+      return { count, penalty: 'ban', applied };
+    }
+
+    if (forceMute || (settings.mute_after > 0 && count >= settings.mute_after)) {
+      const applied = await makeApiRequest('restrictChatMember', {
+        chat_id: chatId,
+        user_id: user.id,
+        permissions: { can_send_messages: false },
+        until_date: Math.floor(Date.now() / 1000) + settings.mute_duration * 60
+      }, env) !== null;
+
+      console.log(`${applied ? '🔇 Muted' : '❌ Failed to mute'} user ${user.id} in chat ${chatId} for ${settings.mute_duration} minute(s)`);
+      return { count, penalty: 'mute', applied };
+    }
+
+    return { count, penalty: 'none', applied: false };
+  } catch (error) {
+    console.error(`❌ Error recording strike for user ${user.id} in chat ${chatId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Describe a strike result for the warning message
+ * @param {Object} strike - Strike result from applyStrikePenalty
+ * @param {Object} settings - Effective settings for the group
+ * @param {string} lang - Message language
+ * @returns {string} Warning suffix
+ */
+function formatStrikeNotice(strike, settings, lang) {
+  let notice = t(lang, 'strike_count', { count: strike.count });
+  if (strike.applied && strike.penalty === 'mute') {
+    notice += t(lang, 'strike_muted', { minutes: settings.mute_duration });
+  } else if (strike.applied && strike.penalty === 'ban') {
+    notice += t(lang, 'strike_banned');
+  }
+  return notice;
+}
+
+/**
+ * Delete one message with deleteMessage, or several with a single deleteMessages call
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {Array<number>} messageIds - Message IDs to delete
+ * @param {Object} env - Environment variables
+ * @returns {Promise<any>} API result or null if failed
+ */
+async function deleteMessageBatch(chatId, messageIds, env) {
+  if (messageIds.length === 1) {
+    return makeApiRequest('deleteMessage', { chat_id: chatId, message_id: messageIds[0] }, env);
+  }
+  return makeApiRequest('deleteMessages', { chat_id: chatId, message_ids: messageIds }, env);
+}
+
+/**
+ * Get the tracker key of an album item
+ * @param {Object} message - Telegram message with media_group_id
+ * @returns {string} Tracker key
+ */
+function getMediaGroupKey(message) {
+  return `${message.chat.id}:${message.media_group_id}`;
+}
+
+/**
+ * Remember an album item so the whole album can be removed together
+ * Each album item arrives as its own update; only some of them may carry the
+ * reply or caption that triggers detection.
+ * @param {Object} message - Telegram message with media_group_id
+ * @returns {Object} Album entry ({ messageIds, contents, removing, removed, timestamp })
+ */
+function trackMediaGroupItem(message) {
+  const now = Date.now();
+  for (const [key, entry] of mediaGroupTracker) {
+    if (now - entry.timestamp > CONFIG.MEDIA_GROUP_TTL) {
+      mediaGroupTracker.delete(key);
+    }
+  }
+
+  const key = getMediaGroupKey(message);
+  if (!mediaGroupTracker.has(key)) {
+    mediaGroupTracker.set(key, { messageIds: new Set(), contents: new Map(), removing: false, removed: false, timestamp: now });
+  }
+  const album = mediaGroupTracker.get(key);
+  album.messageIds.add(message.message_id);
+  album.contents.set(message.message_id, snapshotMessageContent(message)); // Lets the warning restore the whole album
+  return album;
+}
+
+/**
+ * Handle an album item that arrives while its album is being removed
+ * Items arriving during the wait are picked up by the pending batch; later ones are
+ * deleted on their own, without another warning or strike.
+ * @param {Object} message - Telegram message with media_group_id
+ * @param {Object} album - Album entry
+ * @param {Object} env - Environment variables
+ * @param {ExecutionContext} ctx - Execution context
+ * @returns {Promise<void>}
+ */
+async function deleteMediaGroupStraggler(message, album, env, ctx) {
+  if (!album.removed) {
+    console.debug(`📎 Album item ${message.message_id} joins the pending deletion in chat ${message.chat.id}`);
+    return;
+  }
+
+  const result = await deleteMessageBatch(message.chat.id, [message.message_id], env);
+  recordStat(message.chat.id, result !== null ? 'deleted' : 'delete_failed', env, ctx);
+  console.log(`${result !== null ? '✅ Deleted' : '❌ Failed to delete'} late album item ${message.message_id} in chat ${message.chat.id}`);
+}
+
+/**
+ * Ban the channel a message was posted on behalf of, so it cannot post in the group again
+ * @param {Object} message - Telegram message sent on behalf of a channel
+ * @param {Object} env - Environment variables
+ * @returns {Promise<boolean>} Whether the ban succeeded
+ */
+async function banSenderChat(message, env) {
+  const chatId = message.chat.id;
+  const senderChatId = message.sender_chat.id;
+
+  const banned = await makeApiRequest('banChatSenderChat', {
+    chat_id: chatId,
+    sender_chat_id: senderChatId
+  }, env);
+
+  console.log(`${banned ? '🔨 Banned' : '❌ Failed to ban'} sender chat ${senderChatId} in chat ${chatId}`);
+  return !!banned;
+}
+
+/**
+ * Carry out the action a rule resolved to for an external cross-channel reply
+ * @param {string} action - Action from resolveRuleAction (anything but allow)
+ * @param {Object} message - Telegram message object
+ * @param {Object} crossChannelInfo - Verdict from evaluateRules
+ * @param {Object} settings - Effective settings for the group
+ * @param {Object} env - Environment variables
+ * @param {ExecutionContext} ctx - Execution context
+ * @param {boolean} isEdited - Whether this is an edited message
+ * @returns {Promise<void>}
+ */
+async function applyRuleAction(action, message, crossChannelInfo, settings, env, ctx, isEdited) {
+  const chatId = message.chat.id;
+  const messageInfo = `message ${message.message_id} in chat ${chatId}`;
+
+  switch (action) {
+    case 'monitor':
+      // Record what would have been deleted without touching the message
+      console.log(`👀 Monitoring, would delete ${messageInfo}`);
+      recordStat(chatId, 'monitored', env, ctx);
+      await recordMonitorDecision(message, crossChannelInfo, env);
+      return;
+    case 'log':
+      console.log(`📝 Logging ${messageInfo} without enforcement`);
+      recordStat(chatId, 'logged', env, ctx);
+      if (settings.log_chat_id) {
+        await sendAuditLog(settings.log_chat_id, {
+          message, crossChannelInfo, isEdited, action, deleted: false, strike: null, senderChatBanned: false, settings, copyMessageId: null
+        }, env);
+      }
+      return;
+    case 'warn': {
+      console.log(`⚠️ Warning about ${messageInfo} without deleting it`);
+      const strike = await applyStrikePenalty(message, settings, env);
+      await sendWarningMessage(message, crossChannelInfo, settings, env, ctx, isEdited, strike, false);
+      if (settings.log_chat_id) {
+        await sendAuditLog(settings.log_chat_id, {
+          message, crossChannelInfo, isEdited, action, deleted: false, strike, senderChatBanned: false, settings, copyMessageId: null
+        }, env);
+      }
+      return;
+    }
+    default:
+      // delete, or mute which also restricts the sender right away
+      await deleteCrossChannelReply(message, crossChannelInfo, settings, env, ctx, isEdited, action === 'mute');
+  }
+}
+
+/**
+ * Delete cross-channel reply message and send warning with improved error handling
+ * @param {Object} message - Telegram message object
+ * @param {Object} crossChannelInfo - Detection result from detectCrossChannelReply
+ * @param {Object} settings - Effective settings for the group
+ * @param {Object} env - Environment variables
+ * @param {ExecutionContext} ctx - Execution context
+ * @param {boolean} isEdited - Whether this is an edited message
+ * @param {boolean} forceMute - Whether to mute the sender regardless of their strike count
+ * @returns {Promise<void>}
+ */
+async function deleteCrossChannelReply(message, crossChannelInfo, settings, env, ctx, isEdited = false, forceMute = false) {
+  const chatId = message.chat.id;
+  const messageId = message.message_id;
+  
+  try {
+    // For albums, wait for the remaining items and remove the whole album at once
+    let messageIds = [messageId];
+    let albumContents = null;
+    const album = message.media_group_id ? mediaGroupTracker.get(getMediaGroupKey(message)) : null;
+    if (album && album.removing) {
+      // Another item of this album was detected first and handles the album
+      await deleteMediaGroupStraggler(message, album, env, ctx);
+      return;
+    }
+    if (album) {
+      album.removing = true;
+      await new Promise(resolve => setTimeout(resolve, CONFIG.MEDIA_GROUP_WAIT));
+      messageIds = [...album.messageIds].sort((a, b) => a - b);
+      albumContents = messageIds.map(id => album.contents.get(id)).filter(Boolean);
+      album.removed = true;
+    }
+
+    // Items of one album may reach different isolates; only the first one to get here
+    // records a strike, warns and logs, the others just delete what they saw
+    if (message.media_group_id) {
+      const handled = await sharedIncrement(`album_strike:${chatId}:${message.media_group_id}`, env, CONFIG.MEDIA_GROUP_TTL / 1000);
+      if (handled > 1) {
+        const result = await deleteMessageBatch(chatId, messageIds, env);
+        recordStat(chatId, result !== null ? 'deleted' : 'delete_failed', env, ctx, messageIds.length);
+        console.log(`📎 Album ${message.media_group_id} already handled in chat ${chatId}, deleted item(s) ${messageIds.join(', ')} without another strike`);
+        return;
+      }
+    }
+    
+    // Keep a copy of the message(s) in the log chat before they disappear
+    let copy = null;
+    if (settings.log_chat_id) {
+      const copies = await makeApiRequest(messageIds.length > 1 ? 'copyMessages' : 'copyMessage', {
+        chat_id: settings.log_chat_id,
+        from_chat_id: chatId,
+        ...(messageIds.length > 1 ? { message_ids: messageIds } : { message_id: messageId }),
+        disable_notification: true
+      }, env);
+      copy = Array.isArray(copies) ? copies[0] || null : copies;
+    }
+    
+    console.log(`🗑️ Deleting cross-channel reply message(s) ${messageIds.join(', ')} in chat ${chatId}`);
+    
+    // Delete the original message (or the whole album in one deleteMessages call)
+    const deleteResult = await deleteMessageBatch(chatId, messageIds, env);
+    
+    recordStat(chatId, deleteResult !== null ? 'deleted' : 'delete_failed', env, ctx, messageIds.length);
+    if (deleteResult !== null) {
+      console.log(`✅ Successfully deleted cross-channel reply message(s) ${messageIds.join(', ')} in chat ${chatId}`);
+    } else {
+      console.error(`❌ Failed to delete message(s) ${messageIds.join(', ')} in chat ${chatId}`);
+      // Still count the strike and warn even if deletion failed (user should know their message violates rules)
+    }
+    
+    // Record a strike, escalate for repeat offenders and send warning message
+    const strike = await applyStrikePenalty(message, settings, env, forceMute);
+    const senderChatBanned = crossChannelInfo.replyType === 'sender_chat_post' && settings.ban_sender_chat
+      ? await banSenderChat(message, env)
+      : false;
+    await sendWarningMessage(message, crossChannelInfo, settings, env, ctx, isEdited, strike, deleteResult !== null, albumContents);
+    
+    if (settings.log_chat_id) {
+      await sendAuditLog(settings.log_chat_id, {
+        message,
+        crossChannelInfo,
+        isEdited,
+        action: forceMute ? 'mute' : 'delete',
+        deleted: deleteResult !== null,
+        strike,
+        senderChatBanned,
+        settings,
+        copyMessageId: copy ? copy.message_id : null,
+        albumContents
+      }, env);
+    }
+    
+  } catch (error) {
+    console.error(`❌ Error deleting cross-channel reply message ${messageId}:`, error);
+  }
+}
+
+/**
+ * Post a structured moderation entry to a group's audit log chat
+ * @param {number|string} logChatId - Log chat ID
+ * @param {Object} entry - Action details
+ * @param {Object} entry.message - The offending message
+ * @param {Object} entry.crossChannelInfo - Detection result
+ * @param {boolean} entry.isEdited - Whether the message was an edit
+ * @param {string} entry.action - Rule action taken (delete, mute, warn or log)
+ * @param {boolean} entry.deleted - Whether the delete succeeded
+ * @param {Object|null} entry.strike - Strike result, if any
+ * @param {boolean} entry.senderChatBanned - Whether the sending channel was banned
+ * @param {Object} entry.settings - Effective settings for the group
+ * @param {number|null} entry.copyMessageId - ID of the copied message in the log chat
+ * @param {Array<Object>|null} [entry.albumContents] - Contents of the deleted album items, for the restore button
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+async function sendAuditLog(logChatId, entry, env) {
+  const { message, crossChannelInfo, isEdited, action, deleted, strike, senderChatBanned, settings, copyMessageId, albumContents } = entry;
+  const channel = crossChannelInfo.channelInfo;
+  const channelParts = [escapeHtml(channel.title || 'Unknown')];
+  if (channel.username) channelParts.push(`@${escapeHtml(channel.username)}`);
+  if (channel.id) channelParts.push(`<code>${channel.id}</code>`);
+
+  const lang = getGroupLanguage(settings);
+  const header = action === 'warn' ? 'audit_warned' : action === 'log' ? 'audit_logged' : (deleted ? 'audit_deleted' : 'audit_failed');
+  const lines = [
+    t(lang, header),
+    t(lang, 'audit_group', { value: `${escapeHtml(message.chat.title || '')} <code>${message.chat.id}</code>` }),
+    t(lang, 'audit_user', { value: formatSenderHtml(message, lang) }),
+    t(lang, 'audit_content', { value: escapeHtml(describeMessageContent(message)) }),
+    t(lang, 'audit_type', { value: `<code>${crossChannelInfo.replyType}</code>` }),
+    t(lang, 'audit_channel', { value: channelParts.join(' ') }),
+    t(lang, 'audit_edited', { value: t(lang, isEdited ? 'yes' : 'no') })
+  ];
+  if (strike) {
+    lines.push(t(lang, 'audit_strikes', { value: formatStrikeNotice(strike, settings, lang) }));
+  }
+  if (senderChatBanned) {
+    lines.push(t(lang, 'audit_sender_chat_banned'));
+  }
+
+  // The warning buttons live here, so they stay usable after the warning is deleted
+  const appealItem = settings.warning_buttons ? buildAppealItem(message, crossChannelInfo, settings, deleted, lang, albumContents) : null;
+  const result = await makeApiRequest('sendMessage', {
+    chat_id: logChatId,
+    text: lines.join('\n'),
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    disable_notification: true,
+    ...(copyMessageId ? { reply_parameters: { message_id: copyMessageId, allow_sending_without_reply: true } } : {}),
+    ...(appealItem ? { reply_markup: buildAppealKeyboard({ items: [appealItem] }, lang) } : {})
+  }, env);
+
+  if (result === null) {
+    console.error(`❌ Failed to write audit log entry to chat ${logChatId}`);
+    return;
+  }
+  await saveAppealItem(logChatId, result.message_id, appealItem, env);
+}
+
+/**
+ * Format the sender of a message as an HTML mention
+ * @param {Object} message - Telegram message object
+ * @param {string} lang - Display language
+ * @returns {string} HTML-formatted sender
+ */
+function formatSenderHtml(message, lang) {
+  if (message.sender_chat) {
+    return `${escapeHtml(message.sender_chat.title || '')} <code>${message.sender_chat.id}</code>`;
+  }
+  if (!message.from) {
+    return t(lang, 'unknown_sender');
+  }
+  return `<a href="tg://user?id=${message.from.id}">${escapeHtml(formatUserLabel(message.from))}</a> <code>${message.from.id}</code>`;
+}
+
+/**
+ * Describe a message's content: its text, or its media type and caption
+ * @param {Object} message - Telegram message object
+ * @returns {string} Content summary (truncated)
+ */
+function describeMessageContent(message) {
+  const mediaTypes = ['photo', 'video', 'animation', 'document', 'audio', 'voice', 'video_note', 'sticker', 'story', 'poll', 'location', 'venue', 'contact', 'dice'];
+  const mediaType = mediaTypes.find(type => message[type]);
+  const text = message.text || message.caption || '';
+  const description = mediaType ? `[${mediaType}]${text ? ` ${text}` : ''}` : text;
+  return description.length > 500 ? `${description.slice(0, 500)}…` : (description || '[empty]');
+}
+
+/**
+ * Escape text for Telegram HTML parse mode
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Send warning message rendered from the group's template and schedule its auto-deletion
+ * The warning replies to the message the offender replied to (or to the offending
+ * message itself if it could not be deleted) and stays in the same forum topic.
+ * @param {Object} message - The offending Telegram message
+ * @param {Object} crossChannelInfo - Detection result from detectCrossChannelReply
+ * @param {Object} settings - Effective settings for the group
+ * @param {Object} env - Environment variables
+ * @param {ExecutionContext} ctx - Execution context
+ * @param {boolean} isEdited - Whether this is for an edited message
+ * @param {Object|null} strike - Strike result for the offending user, if any
+ * @param {boolean} deleted - Whether the offending message was deleted
+ * @param {Array<Object>|null} albumContents - Contents of the deleted album items, for the restore button
+ * @returns {Promise<void>}
+ */
+async function sendWarningMessage(message, crossChannelInfo, settings, env, ctx, isEdited = false, strike = null, deleted = true, albumContents = null) {
+  const chatId = message.chat.id;
+  
+  try {
+    if (!settings.warning_enabled) {
+      console.debug(`🔕 Warnings disabled in chat ${chatId}`);
+      return;
+    }
+
+    const lang = getGroupLanguage(settings);
+    const values = buildWarningValues(message, crossChannelInfo, settings, strike, lang);
+    
+    // Within a short window, update the user's previous warning with a counter instead
+    const now = Date.now();
+    for (const [key, entry] of recentWarnings) {
+      if (now - entry.timestamp >= CONFIG.WARNING_COALESCE_WINDOW) {
+        recentWarnings.delete(key);
+      }
+    }
+    const sender = message.sender_chat || message.from;
+    const warningKey = `${chatId}:${sender ? sender.id : 'unknown'}`;
+    // With a log chat the buttons go on the audit log entry, which outlives the warning
+    const appealItem = settings.warning_buttons && !settings.log_chat_id
+      ? buildAppealItem(message, crossChannelInfo, settings, deleted, lang, albumContents)
+      : null;
+    const recent = recentWarnings.get(warningKey);
+    if (recent) {
+      recent.count++;
+      const record = await saveAppealItem(chatId, recent.messageId, appealItem, env);
+      if (await editWarningMessage(chatId, recent, settings, values, lang, env, record ? buildAppealKeyboard(record, lang) : undefined)) {
+        return;
+      }
+    }
+    recentWarnings.delete(warningKey);
+
+    console.log(`📨 Sending warning message to chat ${chatId}`);
+    const replyTarget = deleted ? message.reply_to_message : message;
+    const params = {
+      chat_id: chatId,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    };
+    if (message.is_topic_message && message.message_thread_id) {
+      params.message_thread_id = message.message_thread_id;
+    }
+    if (replyTarget && replyTarget.message_id) {
+      params.reply_parameters = { message_id: replyTarget.message_id, allow_sending_without_reply: true };
+    }
+    if (appealItem) {
+      params.reply_markup = buildAppealKeyboard({ items: [appealItem] }, lang);
+    }
+    
+    // Send warning message using our robust API function
+    let result = await makeApiRequest('sendMessage', {
+      ...params,
+      text: renderTemplate(settings.warning_text || t(lang, 'warning'), values).trim()
+    }, env);
+    
+    // A custom template with broken HTML is rejected by Telegram; fall back to the built-in one
+    if (!result && settings.warning_text) {
+      console.warn(`⚠️ Custom warning template failed in chat ${chatId}, using built-in template`);
+      result = await makeApiRequest('sendMessage', {
+        ...params,
+        text: renderTemplate(t(lang, 'warning'), values).trim()
+      }, env);
+    }
+    
+    if (result && result.message_id) {
+      const warningMessageId = result.message_id;
+      console.log(`✅ Sent warning message ${warningMessageId} in chat ${chatId}`);
+      recordStat(chatId, 'warnings_sent', env, ctx);
+      recentWarnings.set(warningKey, { messageId: warningMessageId, count: 1, timestamp: Date.now() });
+      await saveAppealItem(chatId, warningMessageId, appealItem, env);
+      
+      // Schedule auto-deletion of the warning (0 keeps the warning)
+      if (settings.warning_delay > 0) {
+        await scheduleMessageDeletion(chatId, warningMessageId, env, ctx, settings.warning_delay * 1000);
+      }
+      
+    } else {
+      console.error(`❌ Failed to send warning message to chat ${chatId}`);
+    }
+    
+  } catch (error) {
+    console.error(`❌ Error sending warning message to chat ${chatId}:`, error);
+  }
+}
+
+/**
+ * Edit a recent warning to cover another offense by the same user
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {Object} recent - Recent warning ({ messageId, count, timestamp })
+ * @param {Object} settings - Effective settings for the group
+ * @param {Object} values - Placeholder values for the warning template
+ * @param {string} lang - Message language
+ * @param {Object} env - Environment variables
+ * @param {Object} [replyMarkup] - Inline keyboard to keep on the warning
+ * @returns {Promise<boolean>} Whether the warning was updated (false if it is gone)
+ */
+async function editWarningMessage(chatId, recent, settings, values, lang, env, replyMarkup) {
+  const counter = t(lang, 'warning_counter', { count: recent.count });
+  const params = {
+    chat_id: chatId,
+    message_id: recent.messageId,
+    parse_mode: 'HTML',
+    disable_web_page_preview: true
+  };
+  if (replyMarkup) {
+    params.reply_markup = replyMarkup;
+  }
+
+  let result = await makeApiRequest('editMessageText', {
+    ...params,
+    text: `${renderTemplate(settings.warning_text || t(lang, 'warning'), values).trim()}\n${counter}`
+  }, env);
+  if (!result && settings.warning_text) {
+    result = await makeApiRequest('editMessageText', {
+      ...params,
+      text: `${renderTemplate(t(lang, 'warning'), values).trim()}\n${counter}`
+    }, env);
+  }
+
+  if (result) {
+    console.log(`✏️ Updated warning message ${recent.messageId} in chat ${chatId} (x${recent.count})`);
+  }
+  return !!result;
+}
+
+/**
+ * Build the HTML-escaped placeholder values for a warning template
+ * @param {Object} message - The offending Telegram message
+ * @param {Object} crossChannelInfo - Detection result from detectCrossChannelReply
+ * @param {Object} settings - Effective settings for the group
+ * @param {Object|null} strike - Strike result for the offending user, if any
+ * @param {string} lang - Message language
+ * @returns {Object} Values keyed by placeholder name (see WARNING_PLACEHOLDERS)
+ */
+function buildWarningValues(message, crossChannelInfo, settings, strike, lang) {
+  const channel = crossChannelInfo.channelInfo;
+  const sender = message.sender_chat || message.from;
+  const userName = message.sender_chat ? (sender.title || '') : (sender ? formatUserLabel(sender) : t(lang, 'unknown_sender'));
+
+  let userMention = escapeHtml(userName);
+  if (!message.sender_chat && sender) {
+    userMention = `<a href="tg://user?id=${sender.id}">${userMention}</a>`;
+  } else if (message.sender_chat && sender.username) {
+    userMention = `<a href="https://t.me/${escapeHtml(sender.username)}">${userMention}</a>`;
+  }
+
+  let channelLink = '';
+  if (channel.username) {
+    channelLink = `https://t.me/${channel.username}`;
+  } else if (channel.id && String(channel.id).startsWith('-100')) {
+    channelLink = `https://t.me/c/${String(channel.id).slice(4)}`;
+  }
+
+  return {
+    user_mention: userMention,
+    user_name: escapeHtml(userName),
+    channel_title: escapeHtml(channel.title || ''),
+    channel_link: escapeHtml(channelLink),
+    reply_type: escapeHtml(t(lang, `reply_type_${crossChannelInfo.replyType}`)),
+    strike_count: strike ? String(strike.count) : '0',
+    strike_notice: strike ? escapeHtml(formatStrikeNotice(strike, settings, lang)) : ''
+  };
+}
+
+/**
+ * Fill a message template's {placeholders}; unknown placeholders are left as typed
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values (escaped for the parse mode by the caller)
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => name in values ? String(values[name]) : placeholder);
+}
+
+/**
+ * Media types that can be reposted from a file_id with a caption
+ */
+const RESTORABLE_MEDIA_TYPES = ['photo', 'video', 'animation', 'document', 'audio', 'voice'];
+
+/**
+ * Build what the warning buttons need to undo an enforcement decision
+ * Restoring needs the deleted content (text or captioned media); allowing needs a
+ * channel with an ID that is not on the group's block list.
+ * @param {Object} message - The offending Telegram message
+ * @param {Object} crossChannelInfo - Detection result from detectCrossChannelReply
+ * @param {Object} settings - Effective settings for the group
+ * @param {boolean} deleted - Whether the message was deleted
+ * @param {string} lang - Message language
+ * @param {Array<Object>|null} albumContents - Contents of all deleted album items, if the message was part of an album
+ * @returns {Object|null} Appeal item ({ chatId, chatTitle, sender, content, channel, replyTo, threadId }) or null if neither button applies
+ */
+function buildAppealItem(message, crossChannelInfo, settings, deleted, lang, albumContents = null) {
+  const channel = crossChannelInfo.channelInfo;
+  const allowable = channel && channel.id !== null && !findChannelEntry(settings.blocked_channels, channel);
+  let content = null;
+  if (deleted) {
+    content = albumContents && albumContents.length > 1
+      ? { type: 'album', items: albumContents }
+      : snapshotMessageContent(message);
+  }
+  if (!content && !allowable) {
+    return null;
+  }
+
+  const sender = message.sender_chat || message.from;
+  return {
+    chatId: message.chat.id,
+    chatTitle: message.chat.title || '',
+    sender: {
+      id: sender ? sender.id : null,
+      name: message.sender_chat ? (sender.title || '') : (sender ? formatUserLabel(sender) : t(lang, 'unknown_sender')),
+      username: message.sender_chat ? sender.username || null : null
+    },
+    content,
+    channel: allowable ? { id: channel.id, username: channel.username, title: channel.title } : null,
+    replyTo: message.reply_to_message ? message.reply_to_message.message_id : null,
+    threadId: message.is_topic_message ? message.message_thread_id : null
+  };
+}
+
+/**
+ * Save the content of a message so it can be reposted after deletion
+ * @param {Object} message - Telegram message object
+ * @returns {Object|null} Content ({ type, text, entities, fileId }) or null for unsupported messages
+ */
+function snapshotMessageContent(message) {
+  if (message.text) {
+    return { type: 'text', text: message.text, entities: message.entities || [], fileId: null };
+  }
+
+  const type = RESTORABLE_MEDIA_TYPES.find(mediaType => message[mediaType]);
+  if (!type) {
+    return null;
+  }
+  const media = type === 'photo' ? message.photo[message.photo.length - 1] : message[type];
+  return { type, text: message.caption || '', entities: message.caption_entities || [], fileId: media.file_id };
+}
+
+/**
+ * Add an item to the appeal record of a warning, kept as
+ * `appeal:<chat_id>:<warning_message_id>` for CONFIG.APPEAL_TTL
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} warningMessageId - Warning message ID
+ * @param {Object|null} item - Appeal item from buildAppealItem (null only loads the record)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} The record ({ items }) or null if there is none
+ */
+async function saveAppealItem(chatId, warningMessageId, item, env) {
+  const key = `appeal:${chatId}:${warningMessageId}`;
+  const record = await storageGet(key, env);
+  if (!item) {
+    return record;
+  }
+
+  const updated = { items: [...(record ? record.items : []), item] };
+  await storagePut(key, updated, env, Math.ceil(CONFIG.APPEAL_TTL / 1000));
+  return updated;
+}
+
+/**
+ * Build the inline keyboard for a warning from its appeal record
+ * @param {Object} record - Appeal record ({ items })
+ * @param {string} lang - Message language
+ * @returns {Object|undefined} InlineKeyboardMarkup, or undefined when no button applies
+ */
+function buildAppealKeyboard(record, lang) {
+  const buttons = [];
+  if (record.items.some(item => item.content && !item.restored)) {
+    buttons.push({ text: t(lang, 'button_restore'), callback_data: 'appeal:restore' });
+  }
+  if (record.items.some(item => item.channel && !item.allowed)) {
+    buttons.push({ text: t(lang, 'button_allow'), callback_data: 'appeal:allow' });
+  }
+  return buttons.length > 0 ? { inline_keyboard: [buttons] } : undefined;
+}
+
+/**
+ * Repost deleted content on behalf of the bot, attributed to the original sender
+ * The attribution line mentions the sender with a text_mention (users) or
+ * text_link (public channels) entity; the content's own entities are shifted after it.
+ * Albums are reposted with sendMediaGroup, the attribution going on the first item.
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {Object} item - Appeal item from buildAppealItem
+ * @param {string} lang - Message language
+ * @param {Object} env - Environment variables
+ * @returns {Promise<boolean>} Whether the content was reposted
+ */
+async function restoreAppealItem(chatId, item, lang, env) {
+  const { sender, content } = item;
+  const header = t(lang, 'restored_from', { user: sender.name });
+  const nameOffset = t(lang, 'restored_from').indexOf('{user}');
+  const headerEntities = [];
+  if (nameOffset >= 0 && sender.name) {
+    if (sender.username) {
+      headerEntities.push({ type: 'text_link', offset: nameOffset, length: sender.name.length, url: `https://t.me/${sender.username}` });
+    } else if (sender.id !== null && sender.id > 0) {
+      headerEntities.push({ type: 'text_mention', offset: nameOffset, length: sender.name.length, user: { id: sender.id } });
+    }
+  }
+
+  const params = { chat_id: chatId, disable_notification: true };
+  if (item.threadId) {
+    params.message_thread_id = item.threadId;
+  }
+  if (item.replyTo) {
+    params.reply_parameters = { message_id: item.replyTo, allow_sending_without_reply: true };
+  }
+
+  const isText = content.type === 'text';
+  const isAlbum = content.type === 'album';
+  const first = isAlbum ? content.items[0] : content;
+  const combined = `${header}\n${first.text}`;
+  const entities = [
+    ...headerEntities,
+    ...first.entities.map(entity => ({ ...entity, offset: entity.offset + header.length + 1 }))
+  ];
+  const method = isText ? 'sendMessage' : isAlbum ? 'sendMediaGroup' : `send${content.type.charAt(0).toUpperCase()}${content.type.slice(1)}`;
+  const buildParams = (base, caption, captionEntities) => {
+    if (isText) {
+      return { ...base, text: caption, entities: captionEntities };
+    }
+    if (isAlbum) {
+      return {
+        ...base,
+        media: content.items.map((item, index) => ({
+          type: item.type,
+          media: item.fileId,
+          caption: index === 0 ? caption : item.text,
+          caption_entities: index === 0 ? captionEntities : item.entities
+        }))
+      };
+    }
+    return { ...base, [content.type]: content.fileId, caption, caption_entities: captionEntities };
+  };
+
+  // Content too long to prepend the attribution to is posted as a reply to it
+  let result;
+  if (combined.length <= (isText ? 4096 : 1024)) {
+    result = await makeApiRequest(method, buildParams(params, combined, entities), env);
+  } else {
+    const attribution = await makeApiRequest('sendMessage', { ...params, text: header, entities: headerEntities }, env);
+    if (attribution && attribution.message_id) {
+      const reply = { ...params, reply_parameters: { message_id: attribution.message_id, allow_sending_without_reply: true } };
+      result = await makeApiRequest(method, buildParams(reply, first.text, first.entities), env);
+    }
+  }
+
+  if (!result) {
+    console.error(`❌ Failed to restore ${content.type} message from ${sender.id} in chat ${chatId}`);
+  }
+  return !!result;
+}
+
+/**
+ * Delete warning message with improved error handling
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} messageId - Message ID to delete
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+async function deleteWarningMessage(chatId, messageId, env) {
+  try {
+    console.log(`🗑️ Auto-deleting warning message ${messageId} in chat ${chatId}`);
+    
+    const result = await makeApiRequest('deleteMessage', {
+      chat_id: chatId,
+      message_id: messageId
+    }, env);
+    
+    if (result !== null) {
+      console.log(`✅ Successfully auto-deleted warning message ${messageId} in chat ${chatId}`);
+    } else {
+      // This is expected behavior - the message might have been deleted manually
+      console.debug(`🔍 Warning message ${messageId} may have been already deleted in chat ${chatId}`);
+    }
+    
+  } catch (error) {
+    // Log as debug since this is often expected (manual deletion, message not found, etc.)
+    console.debug(`🔍 Warning message ${messageId} deletion issue in chat ${chatId}:`, error.message);
+  }
+}
+
+/**
+ * Schedule deletion of a message
+ * With a BOT_KV binding the deletion is persisted as a pending entry that the cron
+ * `scheduled()` handler sweeps, so it survives isolate eviction and does not keep the
+ * invocation alive. Without KV it falls back to a timer inside ctx.waitUntil().
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} messageId - Message ID to delete
+ * @param {Object} env - Environment variables
+ * @param {ExecutionContext} ctx - Execution context
+ * @param {number} delayMs - Delay in milliseconds before deletion
+ * @returns {Promise<void>}
+ */
+async function scheduleMessageDeletion(chatId, messageId, env, ctx, delayMs) {
+  try {
+    if (env.BOT_KV) {
+      await storePendingDeletion(chatId, messageId, Date.now() + delayMs, 0, env);
+      console.log(`⏰ Queued deletion of message ${messageId} in chat ${chatId} in ${delayMs}ms`);
+      return;
+    }
+
+    console.log(`⏰ Scheduling in-memory deletion of message ${messageId} in ${delayMs}ms`);
+    ctx.waitUntil(new Promise(resolve => setTimeout(resolve, delayMs))
+      .then(() => deleteWarningMessage(chatId, messageId, env))
+      .catch(error => console.error(`❌ Error in scheduled deletion for message ${messageId}:`, error)));
+  } catch (error) {
+    console.error(`❌ Error scheduling deletion for message ${messageId}:`, error);
+  }
+}
+
+/**
+ * Persist a pending deletion
+ * All fields are encoded in the key (`pending_delete:<due>:<chat>:<message>:<attempts>`)
+ * so the sweeper can work from a single list call; zero-padding the due time keeps
+ * keys in due order.
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} messageId - Message ID to delete
+ * @param {number} dueAt - Timestamp (ms) after which the message should be deleted
+ * @param {number} attempts - Failed attempts so far
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+async function storePendingDeletion(chatId, messageId, dueAt, attempts, env) {
+  const key = `pending_delete:${String(dueAt).padStart(15, '0')}:${chatId}:${messageId}:${attempts}`;
+  await storagePut(key, 1, env);
+}
+
+/**
+ * Delete all due pending messages, retrying failed deletions later
+ * Due messages are grouped per chat and removed with one deleteMessages call each.
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Summary ({ deleted, retried, dropped })
+ */
+async function processPendingDeletions(env) {
+  const summary = { deleted: 0, retried: 0, dropped: 0 };
+
+  try {
+    const now = Date.now();
+    const keys = await storageList('pending_delete:', env, CONFIG.DELETION_BATCH_SIZE);
+    const byChat = new Map();
+
+    for (const key of keys) {
+      const [, dueAt, chatId, messageId, attempts] = key.split(':');
+      if (Number(dueAt) > now) {
+        break; // Keys are sorted by due time
+      }
+      if (!byChat.has(chatId)) {
+        byChat.set(chatId, []);
+      }
+      byChat.get(chatId).push({ key, messageId: Number(messageId), attempts: Number(attempts) });
+    }
+
+    for (const [chatId, entries] of byChat.entries()) {
+      const result = await makeApiRequest('deleteMessages', {
+        chat_id: chatId,
+        message_ids: entries.map(entry => entry.messageId)
+      }, env);
+
+      for (const entry of entries) {
+        await storageDelete(entry.key, env);
+
+        if (result !== null) {
+          summary.deleted++;
+        } else if (entry.attempts + 1 < CONFIG.DELETION_MAX_ATTEMPTS) {
+          await storePendingDeletion(chatId, entry.messageId, now + CONFIG.DELETION_RETRY_DELAY, entry.attempts + 1, env);
+          summary.retried++;
+        } else {
+          console.warn(`⚠️ Giving up deleting message ${entry.messageId} in chat ${chatId} after ${CONFIG.DELETION_MAX_ATTEMPTS} attempts`);
+          summary.dropped++;
+        }
+      }
+    }
+
+    if (byChat.size > 0) {
+      console.log(`🧹 Pending deletions: ${summary.deleted} deleted, ${summary.retried} retried, ${summary.dropped} dropped`);
+    }
+
+    // Remember what is left so /health and /metrics never list keys themselves; only
+    // changes are written, as every cron tick would otherwise cost a KV write
+    const count = keys.length - summary.deleted - summary.dropped;
+    const truncated = keys.length >= CONFIG.DELETION_BATCH_SIZE;
+    const previous = await storageGet('pending_delete_count', env);
+    if (!previous || previous.count !== count || previous.truncated !== truncated) {
+      await storagePut('pending_delete_count', { count, truncated, updatedAt: new Date(now).toISOString() }, env);
+    }
+  } catch (error) {
+    console.error('❌ Error processing pending deletions:', error);
+  }
+
+  return summary;
+}
+
+/**
+ * Load the pending deletion count recorded by the last scheduled sweep
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} { count, truncated, updatedAt } or null before the first sweep
+ */
+export async function loadPendingDeletionCount(env) {
+  try {
+    return await storageGet('pending_delete_count', env);
+  } catch (error) {
+    console.error('❌ Error loading pending deletion count:', error);
+    return null;
+  }
+}
+
+/**
+ * Record a message that would have been deleted in monitor mode
+ * Decisions are kept as `monitor:<chat_id>:<timestamp>:<message_id>` for
+ * CONFIG.MONITOR_RETENTION_DAYS and summarized by sendMonitorSummaries, which finds
+ * the chats through the `monitor_chat:<chat_id>` index.
+ * @param {Object} message - The offending message
+ * @param {Object} crossChannelInfo - Detection result
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+async function recordMonitorDecision(message, crossChannelInfo, env) {
+  const now = Date.now();
+  const key = `monitor:${message.chat.id}:${String(now).padStart(15, '0')}:${message.message_id}`;
+  const sender = message.sender_chat || message.from;
+
+  try {
+    await storagePut(key, {
+      user: sender ? (sender.title || formatUserLabel(sender)) : null,
+      replyType: crossChannelInfo.replyType,
+      channel: formatChannelEntry(crossChannelInfo.channelInfo)
+    }, env, CONFIG.MONITOR_RETENTION_DAYS * 86400);
+
+    if (!indexedMonitorChats.has(message.chat.id)) {
+      await storagePut(`monitor_chat:${message.chat.id}`, true, env);
+      indexedMonitorChats.add(message.chat.id);
+    }
+  } catch (error) {
+    console.error(`❌ Error recording monitor decision for message ${message.message_id}:`, error);
+  }
+}
+
+/**
+ * Send due monitor-mode summaries to each group's log chat
+ * A group gets a summary every `monitor_summary` hours while it is in monitor mode.
+ * Groups without a log chat are skipped so summaries are never posted publicly.
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+async function sendMonitorSummaries(env) {
+  try {
+    const now = Date.now();
+    for (const indexKey of await storageList('monitor_chat:', env)) {
+      const chatId = Number(indexKey.slice('monitor_chat:'.length)); // Match the numeric IDs settings are cached under
+      const settings = await getGroupSettings(chatId, env);
+      if (settings.mode !== 'monitor' || settings.monitor_summary === 0) {
+        continue;
+      }
+      if (!settings.log_chat_id) {
+        console.log(`👀 Skipping monitor summary for chat ${chatId}: no log chat set`);
+        continue;
+      }
+
+      const periodStart = now - settings.monitor_summary * 3600000;
+      const lastSent = await storageGet(`monitor_summary_at:${chatId}`, env) || 0;
+      if (lastSent > periodStart) {
+        continue;
+      }
+
+      // Page through every decision of this chat; the newest ones sort last
+      const decisions = (await storageList(`monitor:${chatId}:`, env, Infinity)).map(key => ({
+        key,
+        timestamp: Number(key.split(':')[2])
+      }));
+      const due = decisions.filter(decision => decision.timestamp > Math.max(lastSent, periodStart));
+      await storagePut(`monitor_summary_at:${chatId}`, now, env, CONFIG.MONITOR_RETENTION_DAYS * 86400);
+      if (due.length === 0) {
+        continue;
+      }
+
+      const lang = getGroupLanguage(settings);
+      const lines = [t(lang, 'monitor_summary_title', { hours: settings.monitor_summary, count: due.length }), ''];
+      for (const decision of due.slice(0, CONFIG.MONITOR_SUMMARY_MAX_ITEMS)) {
+        const record = await storageGet(decision.key, env);
+        if (record) {
+          lines.push(`• ${record.user || t(lang, 'unknown_sender')} - ${t(lang, `reply_type_${record.replyType}`)} - ${record.channel}`);
+        }
+      }
+      if (due.length > CONFIG.MONITOR_SUMMARY_MAX_ITEMS) {
+        lines.push(t(lang, 'monitor_summary_more', { count: due.length - CONFIG.MONITOR_SUMMARY_MAX_ITEMS }));
+      }
+
+      await makeApiRequest('sendMessage', {
+        chat_id: settings.log_chat_id,
+        text: lines.join('\n')
+      }, env);
+      console.log(`👀 Sent monitor summary of ${due.length} decision(s) for chat ${chatId}`);
+    }
+  } catch (error) {
+    console.error('❌ Error sending monitor summaries:', error);
+  }
+}
+
+/**
+ * Count an event in a chat's statistics
+ * Counters are buffered in memory and flushed to KV in the background at most once
+ * per CONFIG.STATS_FLUSH_INTERVAL (and on every cron run).
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {string} name - Counter name (see STAT_COUNTERS, or detected_<replyType>)
+ * @param {Object} env - Environment variables
+ * @param {ExecutionContext} ctx - Execution context
+ * @param {number} [amount=1] - Increment
+ * @returns {void}
+ */
+function recordStat(chatId, name, env, ctx, amount = 1) {
+  const key = `${chatId}:${getStatsDay(Date.now())}`;
+  if (!statsBuffer.has(key)) {
+    statsBuffer.set(key, {});
+  }
+  const counters = statsBuffer.get(key);
+  counters[name] = (counters[name] || 0) + amount;
+
+  if (Date.now() - statsLastFlush >= CONFIG.STATS_FLUSH_INTERVAL) {
+    statsLastFlush = Date.now();
+    ctx.waitUntil(flushStats(env));
+  }
+}
+
+/**
+ * Write buffered statistics to the shared state store (daily and lifetime counters)
+ * Counters are added atomically with the Durable Object backend, so flushes from
+ * several isolates do not overwrite each other. Chats with statistics are indexed
+ * in KV as `stats_chat:<chat_id>` for /metrics.
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+export async function flushStats(env) {
+  const pending = [...statsBuffer.entries()];
+  statsBuffer.clear();
+
+  for (const [bufferKey, counters] of pending) {
+    const [chatId, day] = bufferKey.split(':');
+    try {
+      await sharedAddCounters(`stats:${chatId}:${day}`, counters, env, CONFIG.STATS_RETENTION_DAYS * 86400);
+      await sharedAddCounters(`stats_total:${chatId}`, counters, env);
+      if (!indexedStatsChats.has(chatId)) {
+        await storagePut(`stats_chat:${chatId}`, true, env);
+        indexedStatsChats.add(chatId);
+      }
+    } catch (error) {
+      console.error(`❌ Error flushing statistics for chat ${chatId}:`, error);
+    }
+  }
+
+  if (pending.length > 0) {
+    console.debug(`📊 Flushed statistics for ${pending.length} chat-day(s)`);
+  }
+}
+
+/**
+ * Load the lifetime counters of every chat with statistics (for /metrics)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array<Object>>} Entries ({ chatId, counters })
+ */
+export async function loadStatTotals(env) {
+  const totals = [];
+  for (const key of await storageList('stats_chat:', env)) {
+    const chatId = key.slice('stats_chat:'.length);
+    totals.push({ chatId, counters: await sharedGet(`stats_total:${chatId}`, env) || {} });
+  }
+  return totals;
+}
+
+/**
+ * Sum a chat's statistics over the last few days, including unflushed counters
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} days - Number of days (today included)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Counter totals
+ */
+async function loadStats(chatId, days, env) {
+  const totals = {};
+  const add = counters => {
+    for (const [name, value] of Object.entries(counters || {})) {
+      totals[name] = (totals[name] || 0) + value;
+    }
+  };
+
+  for (let i = 0; i < days; i++) {
+    const day = getStatsDay(Date.now() - i * 86400000);
+    add(await sharedGet(`stats:${chatId}:${day}`, env));
+    add(statsBuffer.get(`${chatId}:${day}`));
+  }
+
+  return totals;
+}
+
+/**
+ * Get the UTC day a timestamp falls on
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {string} Day as YYYY-MM-DD
+ */
+function getStatsDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Register the command menu for group admins and private chats in every catalog language
+ * Group commands are taken from GROUP_COMMANDS; descriptions live in MESSAGES under
+ * `command_<name>`.
+ * @param {Object} env - Environment variables
+ * @returns {Promise<boolean>} Whether all command lists were registered
+ */
+export async function registerBotCommands(env) {
+  const scopes = {
+    all_chat_administrators: [...Object.keys(GROUP_COMMANDS), ...Object.keys(MEMBER_COMMANDS)],
+    all_group_chats: Object.keys(MEMBER_COMMANDS),
+    all_private_chats: PRIVATE_COMMANDS
+  };
+
+  let registered = true;
+  // Without language_code the list is the default for users of other languages
+  for (const lang of [null, ...Object.keys(MESSAGES)]) {
+    for (const [scope, commands] of Object.entries(scopes)) {
+      const result = await makeApiRequest('setMyCommands', {
+        commands: commands.map(command => ({
+          command,
+          description: t(lang || CONFIG.FALLBACK_LANGUAGE, `command_${command}`)
+        })),
+        scope: { type: scope },
+        ...(lang ? { language_code: lang } : {})
+      }, env);
+      registered = registered && result !== null;
+    }
+  }
+
+  console.log(`${registered ? '✅ Registered' : '❌ Failed to register'} bot commands`);
+  return registered;
+}
@@ -0,0 +1,86 @@
+/**
+ * Cross-Channel Reply Blocker Bot - update fixture check
+ *
+ * Runs every fixture in fixtures/updates/ through detectCrossChannelReply and checks
+ * that the legacy and forward_origin variants of a message both give the expected
+ * result. getChat is answered from the fixture, so no bot token or network is needed.
+ *
+ * Usage: node fixtures/check.js
+ *
+ * @version 1.0.0
+ * @author SCSHIRKER
+ * @license MIT
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { isDeepStrictEqual } from 'node:util';
+import { detectCrossChannelReply, saveGroupSettingsOverrides } from '../bot.js';
+
+const FIXTURE_DIR = new URL('./updates/', import.meta.url);
+const env = { BOT_TOKEN: 'fixture' };
+
+// The core logs every decision; keep the output to the check results
+console.log = () => {};
+console.debug = () => {};
+
+// Fixture currently being checked, used by the fake Bot API below
+let current = null;
+
+/**
+ * Answer getChat from the running fixture (its `chats`, then its group); anything else fails
+ * @param {string} url - Bot API URL
+ * @param {Object} init - Request options
+ * @returns {Promise<Response>} Bot API response
+ */
+globalThis.fetch = async (url, init) => {
+  const method = String(url).split('/').pop();
+  const { chat_id: chatId } = JSON.parse(init.body);
+  let result = null;
+  if (method === 'getChat') {
+    result = (current.chats && current.chats[chatId])
+      || (chatId === current.group.id ? { id: chatId, type: 'supergroup', linked_chat_id: current.group.linked_chat_id } : null);
+  }
+
+  return new Response(JSON.stringify(result
+    ? { ok: true, result }
+    : { ok: false, error_code: 400, description: 'Bad Request: chat not found' }));
+};
+
+/**
+ * Check all fixtures and exit non-zero on any mismatch
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const names = (await readdir(FIXTURE_DIR)).filter(name => name.endsWith('.json')).sort();
+  let failures = 0;
+
+  for (const name of names) {
+    current = JSON.parse(await readFile(new URL(name, FIXTURE_DIR), 'utf8'));
+    await saveGroupSettingsOverrides(current.group.id, current.settings || {}, env);
+
+    const results = {};
+    for (const [variant, update] of Object.entries(current.updates)) {
+      results[variant] = await detectCrossChannelReply(update.message, env);
+      if (!isDeepStrictEqual(results[variant], current.expected)) {
+        failures++;
+        console.error(`❌ ${name} (${variant}): expected ${JSON.stringify(current.expected)}, got ${JSON.stringify(results[variant])}`);
+      }
+    }
+
+    if (results.legacy && results.forward_origin && !isDeepStrictEqual(results.legacy, results.forward_origin)) {
+      failures++;
+      console.error(`❌ ${name}: legacy and forward_origin variants are classified differently`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`❌ ${failures} fixture check(s) failed`);
+    process.exit(1);
+  }
+  console.info(`✅ ${names.length} fixture(s) classified as expected`);
+}
+
+main().catch(error => {
+  console.error('❌ Unhandled error in fixture check:', error);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+/**
+ * Cross-Channel Reply Blocker Bot - long-polling entry for Node
+ * 
+ * Runs the bot without Cloudflare Workers or a public webhook: updates are fetched
+ * with getUpdates and handed to the same core as the webhook (bot.js).
+ * 
+ * Usage: BOT_TOKEN=<token> [TELEGRAM_API_URL=http://localhost:8081] node polling.js
+ * 
+ * @version 1.0.0
+ * @author SCSHIRKER
+ * @license MIT
+ */
+
+import {
+  CONFIG,
+  UPDATE_HANDLERS,
+  processUpdate,
+  runScheduledTasks,
+  makeApiRequest,
+  flushStats,
+  registerBotCommands
+} from './bot.js';
+
+// Same variables as the Workers environment (BOT_TOKEN, TELEGRAM_API_URL, ...)
+const env = { ...process.env };
+
+// Background work handed to ctx.waitUntil(), awaited (up to CONFIG.SHUTDOWN_TIMEOUT) before exiting
+const pendingTasks = new Set();
+
+/**
+ * Minimal ExecutionContext for the core
+ */
+const ctx = {
+  waitUntil(promise) {
+    const task = Promise.resolve(promise)
+      .catch(error => console.error('❌ Background task failed:', error))
+      .finally(() => pendingTasks.delete(task));
+    pendingTasks.add(task);
+  }
+};
+
+// Next update_id to request; everything below it has been processed
+let offset = 0;
+let stopping = false;
+// Aborts the in-flight getUpdates long poll on shutdown
+let pollController = null;
+let scheduledTimer = null;
+
+/**
+ * Fetch updates with getUpdates until shutdown
+ * Each batch is processed concurrently, like separate webhook requests, so the items
+ * of an album can find each other. The offset only moves past a batch once it has
+ * been processed; updates fetched during shutdown are left for the next start.
+ * @returns {Promise<void>}
+ */
+async function pollUpdates() {
+  while (!stopping) {
+    pollController = new AbortController();
+    const updates = await makeApiRequest('getUpdates', {
+      offset,
+      timeout: CONFIG.POLL_TIMEOUT,
+      allowed_updates: Object.keys(UPDATE_HANDLERS)
+    }, env, pollController.signal);
+    pollController = null;
+
+    if (stopping) {
+      break;
+    }
+    if (!Array.isArray(updates)) {
+      console.warn(`⚠️ getUpdates failed, retrying in ${CONFIG.POLL_RETRY_DELAY}ms`);
+      await new Promise(resolve => setTimeout(resolve, CONFIG.POLL_RETRY_DELAY));
+      continue;
+    }
+    if (updates.length === 0) {
+      continue;
+    }
+
+    console.debug(`📥 Received ${updates.length} update(s)`);
+    await Promise.all(updates.map(update => processUpdate(update, env, ctx)));
+    offset = updates[updates.length - 1].update_id + 1;
+  }
+}
+
+/**
+ * Stop polling on SIGINT/SIGTERM; a second signal exits immediately
+ * @param {string} signal - Signal name
+ * @returns {void}
+ */
+function requestShutdown(signal) {
+  if (stopping) {
+    console.warn(`⚠️ Received ${signal} again, exiting without cleanup`);
+    process.exit(1);
+  }
+
+  console.log(`🛑 Received ${signal}, shutting down`);
+  stopping = true;
+  clearInterval(scheduledTimer);
+
+  // Cancel the pending long poll (and its retries) instead of waiting for it to time out
+  if (pollController) {
+    pollController.abort();
+  }
+}
+
+/**
+ * Wait for background tasks, bounded by CONFIG.SHUTDOWN_TIMEOUT
+ * @returns {Promise<void>}
+ */
+async function drainPendingTasks() {
+  const deadline = Date.now() + CONFIG.SHUTDOWN_TIMEOUT;
+  while (pendingTasks.size > 0 && Date.now() < deadline) {
+    await Promise.race([
+      Promise.all([...pendingTasks]),
+      new Promise(resolve => setTimeout(resolve, deadline - Date.now()))
+    ]);
+  }
+
+  if (pendingTasks.size > 0) {
+    console.warn(`⚠️ ${pendingTasks.size} background task(s) still running, exiting anyway`);
+  }
+}
+
+/**
+ * Start polling after checking the token and that no webhook is set
+ * @returns {Promise<void>}
+ */
+async function main() {
+  if (!env.BOT_TOKEN) {
+    console.error('❌ BOT_TOKEN environment variable is required');
+    process.exit(1);
+  }
+
+  const botInfo = await makeApiRequest('getMe', {}, env);
+  if (!botInfo) {
+    console.error(`❌ getMe failed, check BOT_TOKEN and TELEGRAM_API_URL (${env.TELEGRAM_API_URL || CONFIG.TELEGRAM_API_URL})`);
+    process.exit(1);
+  }
+
+  // getUpdates is refused while a webhook is set; removing it is left to the operator
+  const webhookInfo = await makeApiRequest('getWebhookInfo', {}, env);
+  if (webhookInfo && webhookInfo.url) {
+    console.error(`❌ A webhook is set (${webhookInfo.url}), remove it with POST /teardown or deleteWebhook before polling`);
+    process.exit(1);
+  }
+
+  await registerBotCommands(env);
+
+  process.on('SIGINT', () => requestShutdown('SIGINT'));
+  process.on('SIGTERM', () => requestShutdown('SIGTERM'));
+  scheduledTimer = setInterval(() => ctx.waitUntil(runScheduledTasks(env)), CONFIG.SCHEDULED_INTERVAL);
+
+  console.log(`🚀 Polling for updates as @${botInfo.username}`);
+  await pollUpdates();
+
+  await drainPendingTasks();
+  await flushStats(env);
+
+  // Confirm the processed updates so they are not delivered again on the next start
+  if (offset > 0) {
+    await makeApiRequest('getUpdates', { offset, timeout: 0, limit: 1 }, env);
+  }
+  console.log('👋 Stopped');
+
+  // Timers of abandoned background tasks (e.g. warning deletions) would keep the process alive
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('❌ Unhandled error in polling entry:', error);
+  process.exit(1);
+});
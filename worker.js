@@ -5,27 +5,38 @@
  * where it has admin permissions. It distinguishes between linked channel replies
  * (allowed) and external channel replies (blocked).
  * 
+ * This file is the Workers entry (webhook, management endpoints, Cron trigger and
+ * the SharedState Durable Object); update processing lives in bot.js.
+ * 
  * @version 1.0.0
  * @author SCSHIRKER
  * @license MIT
  */
 
-// Configuration constants
-const CONFIG = {
-  TELEGRAM_API_URL: 'https://api.telegram.org/bot',
-  WARNING_MESSAGE_TEXT: '⚠️ 本群禁止跨频道回复内容',
-  WARNING_AUTO_DELETE_DELAY: 10000, // 10 seconds in milliseconds
-  REQUEST_TIMEOUT: 30000, // 30 seconds timeout for HTTP requests
-  MAX_RETRIES: 3, // Maximum retry attempts for failed requests
-  CACHE_TTL: 300000, // 5 minutes cache TTL for chat info
-  RATE_LIMIT_WINDOW: 60000, // 1 minute rate limiting window
-  MAX_REQUESTS_PER_WINDOW: 30 // Maximum requests per rate limit window
-};
-
-// In-memory cache for chat information (optimizes repeated getChatInfo calls)
-const chatInfoCache = new Map();
-
-// Rate limiting tracker
+import {
+  CONFIG,
+  STAT_COUNTERS,
+  UPDATE_HANDLERS,
+  processUpdate,
+  runScheduledTasks,
+  makeApiRequest,
+  t,
+  storageGet,
+  storagePut,
+  storageDelete,
+  storageList,
+  getSharedStateBackend,
+  sharedIncrement,
+  loadPendingDeletionCount,
+  flushStats,
+  loadStatTotals,
+  registerBotCommands
+} from './bot.js';
+
+// IP ranges Telegram sends webhook requests from (https://core.telegram.org/bots/webhooks)
+const TELEGRAM_WEBHOOK_RANGES = ['149.154.160.0/20', '91.108.4.0/22'];
+
+// Rate limiting tracker (used when no shared state backend is bound)
 const rateLimitTracker = new Map();
 
 /**
@@ -49,9 +60,110 @@ export default {
       console.error('❌ Unhandled error in main fetch handler:', error);
       return new Response('Internal Server Error', { status: 500 });
     }
+  },
+
+  /**
+   * Cron trigger entry point - sweeps pending deletions, flushes statistics, sends monitor
+   * summaries and runs the webhook self-check
+   * @param {ScheduledController} controller - Scheduled event details
+   * @param {Object} env - Environment variables and bindings
+   * @param {ExecutionContext} ctx - Execution context
+   * @returns {Promise<void>}
+   */
+  async scheduled(controller, env, ctx) {
+    if (!env.BOT_TOKEN) {
+      console.error('❌ BOT_TOKEN environment variable is required');
+      return;
+    }
+
+    ctx.waitUntil(runScheduledTasks(env));
+    ctx.waitUntil(runSelfCheck(env));
   }
 };
 
+/**
+ * Durable Object backing the shared state store (bind it as SHARED_STATE)
+ * Each key lives in its own object, so counters are incremented atomically across
+ * isolates. Expired entries are removed by an alarm.
+ */
+export class SharedState {
+  /**
+   * @param {DurableObjectState} state - Durable Object state
+   * @param {Object} env - Environment variables
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  /**
+   * Handle a shared state operation ({ op: 'get'|'put'|'delete'|'increment'|'record'|'add', key, value, ttlSeconds })
+   * @param {Request} request - Operation request from callSharedState()
+   * @returns {Promise<Response>} JSON response ({ value })
+   */
+  async fetch(request) {
+    const { op, key, value, ttlSeconds } = await request.json();
+    const now = Date.now();
+    const entry = await this.state.storage.get(key);
+    const current = entry && (!entry.expiresAt || entry.expiresAt > now) ? entry : null;
+    const expiresAt = ttlSeconds ? now + ttlSeconds * 1000 : null;
+
+    switch (op) {
+      case 'get':
+        return Response.json({ value: current ? current.value : null });
+      case 'put':
+        await this.state.storage.put(key, { value, expiresAt });
+        break;
+      case 'delete':
+        await this.state.storage.deleteAll();
+        return Response.json({ value: null });
+      case 'increment': {
+        // Fixed window: the expiry is set when the window starts
+        const next = current ? { value: current.value + 1, expiresAt: current.expiresAt } : { value: 1, expiresAt };
+        await this.state.storage.put(key, next);
+        if (next.expiresAt) {
+          await this.state.storage.setAlarm(next.expiresAt);
+        }
+        return Response.json({ value: next.value });
+      }
+      case 'record': {
+        // Sliding window: keep the timestamps still within ttlSeconds and add this one
+        const timestamps = [...(current ? current.value : []).filter(ts => ts > now - ttlSeconds * 1000), now];
+        await this.state.storage.put(key, { value: timestamps, expiresAt });
+        await this.state.storage.setAlarm(expiresAt);
+        return Response.json({ value: timestamps.length });
+      }
+      case 'add': {
+        // Named counters ({ name: amount }), with the expiry fixed when the record is created
+        const next = { value: { ...(current ? current.value : {}) }, expiresAt: current ? current.expiresAt : expiresAt };
+        for (const [name, amount] of Object.entries(value)) {
+          next.value[name] = (next.value[name] || 0) + amount;
+        }
+        await this.state.storage.put(key, next);
+        if (next.expiresAt) {
+          await this.state.storage.setAlarm(next.expiresAt);
+        }
+        return Response.json({ value: next.value });
+      }
+      default:
+        return new Response('Bad Request', { status: 400 });
+    }
+
+    if (expiresAt) {
+      await this.state.storage.setAlarm(expiresAt);
+    }
+    return Response.json({ value });
+  }
+
+  /**
+   * Remove the entry once it has expired
+   * @returns {Promise<void>}
+   */
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
+
 /**
  * Handle incoming HTTP requests with proper routing and validation
  * @param {Request} request - The incoming HTTP request
@@ -64,8 +176,8 @@ async function handleRequest(request, env, ctx) {
   const pathname = url.pathname;
   const method = request.method;
 
-  // Apply rate limiting to prevent abuse
-  const rateLimitResult = await checkRateLimit(request);
+  // Apply rate limiting to prevent abuse (Telegram's own webhook calls are not limited)
+  const rateLimitResult = isTelegramRequest(request, env) ? { allowed: true } : await checkRateLimit(request, env);
   if (!rateLimitResult.allowed) {
     console.warn(`🚫 Rate limit exceeded for IP: ${getClientIP(request)}`);
     return new Response('Rate limit exceeded', { 
@@ -76,10 +188,15 @@ async function handleRequest(request, env, ctx) {
 
   // Health check endpoint - no authentication required
   if (pathname === '/health' && method === 'GET') {
+    const lastCheck = await storageGet('self_check', env);
+    const pending = env.BOT_KV ? await loadPendingDeletionCount(env) : null;
     return new Response(JSON.stringify({
-      status: 'healthy',
+      status: lastCheck && !lastCheck.ok ? 'degraded' : 'healthy',
       timestamp: new Date().toISOString(),
-      version: '2.0.0'
+      version: '2.0.0',
+      sharedState: getSharedStateBackend(env),
+      pendingDeletions: pending ? pending.count : null,
+      lastCheck
     }), {
       headers: { 'Content-Type': 'application/json' }
     });
@@ -90,9 +207,23 @@ async function handleRequest(request, env, ctx) {
     return await handleWebhook(request, env, ctx);
   }
   
-  // Setup webhook endpoint - should be protected in production
+  // Prometheus metrics endpoint - requires METRICS_TOKEN (or ADMIN_TOKEN) bearer authentication
+  if (pathname === '/metrics' && method === 'GET') {
+    return requireBearerToken(request, [env.METRICS_TOKEN, env.ADMIN_TOKEN]) || await handleMetrics(request, env);
+  }
+  
+  // Webhook management endpoints - require ADMIN_TOKEN bearer authentication
   if (pathname === '/setup' && method === 'GET') {
-    return await setupWebhook(request, env);
+    return requireBearerToken(request, [env.ADMIN_TOKEN]) || await setupWebhook(request, env);
+  }
+  if (pathname === '/status' && method === 'GET') {
+    return requireBearerToken(request, [env.ADMIN_TOKEN]) || await getWebhookStatus(request, env);
+  }
+  if (pathname === '/teardown' && method === 'POST') {
+    return requireBearerToken(request, [env.ADMIN_TOKEN]) || await teardownWebhook(request, env);
+  }
+  if (pathname === '/groups' && method === 'GET') {
+    return requireBearerToken(request, [env.ADMIN_TOKEN]) || await listGroups(env);
   }
   
   // Return 404 for all other routes
@@ -112,12 +243,110 @@ function getClientIP(request) {
 }
 
 /**
- * Rate limiting implementation using in-memory storage
+ * Require an `Authorization: Bearer <token>` header matching one of the configured tokens
+ * Routes stay closed while none of their tokens is configured.
+ * @param {Request} request - The HTTP request
+ * @param {Array<string|undefined>} tokens - Accepted tokens (unset entries are ignored)
+ * @returns {Response|null} Error response, or null if the request is authorized
+ */
+function requireBearerToken(request, tokens) {
+  const configured = tokens.filter(Boolean);
+  const url = new URL(request.url);
+
+  if (configured.length === 0) {
+    console.error(`❌ No token configured for ${url.pathname}, refusing request`);
+    return new Response('Forbidden', { status: 403 });
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(request.headers.get('Authorization') || '');
+  if (!match || !configured.some(token => safeEqual(match[1], token))) {
+    console.warn(`🚫 Unauthorized request to ${url.pathname} from IP: ${getClientIP(request)}`);
+    return new Response('Unauthorized', { status: 401, headers: { 'WWW-Authenticate': 'Bearer' } });
+  }
+
+  return null;
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string|null} value - Value received with the request
+ * @param {string} expected - Configured secret
+ * @returns {boolean} Whether both are equal
+ */
+function safeEqual(value, expected) {
+  if (typeof value !== 'string' || value.length !== expected.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= value.charCodeAt(i) ^ expected.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Check whether a request comes from Telegram's webhook delivery
+ * Requests carrying the configured webhook secret token, or coming from Telegram's
+ * published IP ranges, are recognized.
+ * @param {Request} request - The HTTP request
+ * @param {Object} env - Environment variables
+ * @returns {boolean} Whether the request was sent by Telegram
+ */
+function isTelegramRequest(request, env) {
+  if (env.WEBHOOK_SECRET && safeEqual(request.headers.get('X-Telegram-Bot-Api-Secret-Token'), env.WEBHOOK_SECRET)) {
+    return true;
+  }
+
+  // Only trust the address Cloudflare saw; X-Forwarded-For can be set by the client
+  const ip = request.headers.get('CF-Connecting-IP');
+  return !!ip && TELEGRAM_WEBHOOK_RANGES.some(range => isIPv4InRange(ip, range));
+}
+
+/**
+ * Check whether an IPv4 address is inside a CIDR range
+ * @param {string} ip - IPv4 address
+ * @param {string} cidr - Range such as 149.154.160.0/20
+ * @returns {boolean} Whether the address is in the range (false for IPv6)
+ */
+function isIPv4InRange(ip, cidr) {
+  const toNumber = address => {
+    const parts = address.split('.').map(Number);
+    if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) {
+      return null;
+    }
+    return parts.reduce((value, part) => value * 256 + part, 0);
+  };
+
+  const [base, bits] = cidr.split('/');
+  const address = toNumber(ip);
+  if (address === null) {
+    return false;
+  }
+  const size = 2 ** (32 - Number(bits));
+  return Math.floor(address / size) === Math.floor(toNumber(base) / size);
+}
+
+/**
+ * Rate limiting per client IP
+ * Uses the Durable Object when one is bound (so the limit holds across isolates)
+ * and an in-memory sliding window otherwise. KV is never used here, since it would
+ * cost a read and a write on every request.
  * @param {Request} request - The HTTP request
+ * @param {Object} env - Environment variables
  * @returns {Promise<Object>} Rate limit result
  */
-async function checkRateLimit(request) {
+async function checkRateLimit(request, env) {
   const clientIP = getClientIP(request);
+
+  if (getSharedStateBackend(env) === 'durable_object') {
+    try {
+      const count = await sharedIncrement(`ratelimit:${clientIP}`, env, CONFIG.RATE_LIMIT_WINDOW / 1000);
+      return { allowed: count <= CONFIG.MAX_REQUESTS_PER_WINDOW, count };
+    } catch (error) {
+      console.error('❌ Shared rate limit check failed, using in-memory limit:', error);
+    }
+  }
+
   const now = Date.now();
   const windowStart = now - CONFIG.RATE_LIMIT_WINDOW;
 
@@ -155,6 +384,16 @@ async function checkRateLimit(request) {
  */
 async function handleWebhook(request, env, ctx) {
   try {
+    // Only Telegram knows the secret token registered by setupWebhook
+    if (!env.WEBHOOK_SECRET) {
+      console.error('❌ WEBHOOK_SECRET is not configured, rejecting webhook request');
+      return new Response('Forbidden', { status: 403 });
+    }
+    if (!safeEqual(request.headers.get('X-Telegram-Bot-Api-Secret-Token'), env.WEBHOOK_SECRET)) {
+      console.warn(`🚫 Webhook request with invalid secret token from IP: ${getClientIP(request)}`);
+      return new Response('Unauthorized', { status: 401 });
+    }
+
     // Validate Content-Type
     const contentType = request.headers.get('Content-Type');
     if (!contentType || !contentType.includes('application/json')) {
@@ -177,10 +416,16 @@ async function handleWebhook(request, env, ctx) {
       return new Response('Invalid update format', { status: 400 });
     }
 
+    // Telegram redelivers updates it considers unanswered; handle each update_id once
+    if (await isDuplicateUpdate(update, env)) {
+      console.warn(`🔁 Ignoring redelivered update ${update.update_id}`);
+      return new Response('OK', { status: 200 });
+    }
+
     console.log(`📨 Processing update ${update.update_id}`);
     
-    // Process the update
-    await processUpdate(update, env, ctx);
+    // Acknowledge right away; slow API calls (retries, album waits) must not delay the answer
+    ctx.waitUntil(processUpdate(update, env, ctx));
     
     return new Response('OK', { status: 200 });
   } catch (error) {
@@ -190,581 +435,311 @@ async function handleWebhook(request, env, ctx) {
 }
 
 /**
- * Process Telegram update with comprehensive message type handling
+ * Check whether an update was received before, recording it if not
+ * update_ids are remembered per bot (token ID) in the shared state store for
+ * CONFIG.UPDATE_DEDUPE_TTL; if the store fails the update is processed anyway.
  * @param {Object} update - Telegram update object
  * @param {Object} env - Environment variables
- * @param {ExecutionContext} ctx - Execution context
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} Whether the update is a redelivery
  */
-async function processUpdate(update, env, ctx) {
+async function isDuplicateUpdate(update, env) {
+  const botId = env.BOT_TOKEN.split(':')[0];
   try {
-    // Handle regular messages
-    if (update.message) {
-      await handleMessage(update.message, env, ctx, false);
-    }
-    
-    // Handle edited messages
-    if (update.edited_message) {
-      await handleMessage(update.edited_message, env, ctx, true);
-    }
-
-    // Future: Could handle other update types like channel_post, etc.
-    // if (update.channel_post) {
-    //   await handleChannelPost(update.channel_post, env, ctx);
-    // }
+    const seen = await sharedIncrement(`update:${botId}:${update.update_id}`, env, Math.ceil(CONFIG.UPDATE_DEDUPE_TTL / 1000));
+    return seen > 1;
   } catch (error) {
-    console.error(`❌ Error processing update ${update.update_id}:`, error);
-    // Don't throw here - we want to return 200 to Telegram even if processing fails
+    console.error(`❌ Error checking update ${update.update_id} for redelivery:`, error);
+    return false;
   }
 }
 
 /**
- * Handle incoming message with enhanced validation and processing
- * @param {Object} message - Telegram message object
+ * Serve lifetime statistics of all chats in Prometheus text format
+ * @param {Request} request - The HTTP request
  * @param {Object} env - Environment variables
- * @param {ExecutionContext} ctx - Execution context
- * @param {boolean} isEdited - Whether this is an edited message
- * @returns {Promise<void>}
+ * @returns {Promise<Response>} HTTP response
  */
-async function handleMessage(message, env, ctx, isEdited = false) {
+async function handleMetrics(request, env) {
   try {
-    // Validate message structure
-    if (!message || !message.message_id || !message.chat) {
-      console.warn('🚫 Invalid message structure received');
-      return;
+    await flushStats(env);
+
+    const samples = {};
+    const detected = [];
+    for (const { chatId, counters } of await loadStatTotals(env)) {
+      for (const [name, value] of Object.entries(counters)) {
+        if (name.startsWith('detected_')) {
+          detected.push(`ccrbb_cross_channel_detected_total{chat_id="${chatId}",reply_type="${name.slice('detected_'.length)}"} ${value}`);
+        } else if (STAT_COUNTERS[name]) {
+          (samples[name] = samples[name] || []).push(`${STAT_COUNTERS[name].metric}{chat_id="${chatId}"} ${value}`);
+        }
+      }
     }
 
-    const chatType = message.chat.type;
-    
-    // Handle private chat messages (only /start command)
-    if (chatType === 'private') {
-      await handlePrivateMessage(message, env);
-      return;
-    }
-    
-    // Only process group and supergroup messages for cross-channel reply blocking
-    if (chatType !== 'group' && chatType !== 'supergroup') {
-      console.debug(`🔍 Ignoring ${chatType} message (ID: ${message.message_id})`);
-      return;
+    const lines = [];
+    for (const [name, counter] of Object.entries(STAT_COUNTERS)) {
+      lines.push(`# HELP ${counter.metric} ${counter.help}`, `# TYPE ${counter.metric} counter`, ...(samples[name] || []));
     }
-
-    // Skip processing bot messages to avoid infinite loops
-    if (message.from && message.from.is_bot) {
-      console.debug(`🤖 Ignoring bot message from ${message.from.username || message.from.first_name}`);
-      return;
+    lines.push(
+      '# HELP ccrbb_cross_channel_detected_total Cross-channel replies detected, by reply type',
+      '# TYPE ccrbb_cross_channel_detected_total counter',
+      ...detected
+    );
+
+    const pending = env.BOT_KV ? await loadPendingDeletionCount(env) : null;
+    if (pending) {
+      lines.push('# HELP ccrbb_pending_deletions Messages waiting for scheduled deletion, as of the last sweep', '# TYPE ccrbb_pending_deletions gauge', `ccrbb_pending_deletions ${pending.count}`);
     }
 
-    const messageInfo = `message ${message.message_id} in chat ${message.chat.id}${isEdited ? ' (edited)' : ''}`;
-    console.debug(`🔍 Processing ${messageInfo}`);
-    
-    // Check if this is a cross-channel reply
-    const crossChannelInfo = await detectCrossChannelReply(message, env);
-    
-    if (crossChannelInfo.isCrossChannel && crossChannelInfo.isExternal) {
-      console.log(`🎯 Detected external cross-channel reply: ${messageInfo} from ${crossChannelInfo.channelInfo.title}`);
-      
-      // Delete the message and send warning
-      await deleteCrossChannelReply(message, env, ctx, isEdited);
-    } else if (crossChannelInfo.isCrossChannel && !crossChannelInfo.isExternal) {
-      console.debug(`✅ Allowing linked channel reply: ${messageInfo}`);
-    }
+    return new Response(`${lines.join('\n')}\n`, {
+      headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+    });
   } catch (error) {
-    console.error(`❌ Error handling message ${message?.message_id}:`, error);
-    // Continue processing other messages even if one fails
+    console.error('❌ Error rendering metrics:', error);
+    return new Response('Internal Server Error', { status: 500 });
   }
 }
 
 /**
- * Handle private chat messages (mainly /start command)
- * @param {Object} message - Telegram message object
+ * Setup webhook endpoint with improved security and error handling
+ * @param {Request} request - The HTTP request
  * @param {Object} env - Environment variables
- * @returns {Promise<void>}
+ * @returns {Promise<Response>} HTTP response
  */
-async function handlePrivateMessage(message, env) {
+async function setupWebhook(request, env) {
   try {
-    // Check if message has text
-    if (!message.text) {
-      console.debug(`🔍 Ignoring private message without text (ID: ${message.message_id})`);
-      return;
-    }
-
-    const messageText = message.text.trim();
+    const url = new URL(request.url);
+    const webhookUrl = `${url.protocol}//${url.host}/webhook`;
     
-    // Handle /start command
-    if (messageText === '/start' || messageText.startsWith('/start ')) {
-      console.log(`🎯 Handling /start command from user ${message.from.id} (${message.from.username || message.from.first_name})`);
-      
-      const startMessage = `🤖 跨频道回复拦截机器人
-
-📋 **功能说明**
-本机器人可以自动删除 Telegram 群组中的跨频道回复消息，区分已关联频道（允许）和外部频道（禁止）。
-
-🔧 **使用方法**
-• 将机器人拉进群组
-• 设置为管理员并给予"删除消息"和"发送消息"权限
-• 无需任何其他配置，机器人自动开始工作
-
-📖 **开源仓库**
-https://github.com/SCSHIRKER/ccrbb
-
-👨‍💻 **作者**
-@as24400
-
-💡 **原理**
-机器人会自动区分关联频道回复（允许）和外部频道回复（删除并警告）。`;
-
-      await makeApiRequest('sendMessage', {
-        chat_id: message.chat.id,
-        text: startMessage,
-        parse_mode: 'Markdown',
-        disable_web_page_preview: true
-      }, env);
-      
-      console.log(`✅ Sent start message to user ${message.from.id}`);
-    } else {
-      // For other commands or text, send a brief help message
-      console.debug(`🔍 Ignoring non-start command in private chat: ${messageText}`);
-      
-      const helpMessage = `❓ 请发送 /start 查看使用说明
-
-或者直接将我添加到群组中并设为管理员即可开始使用。`;
-
-      await makeApiRequest('sendMessage', {
-        chat_id: message.chat.id,
-        text: helpMessage
-      }, env);
+    // Telegram accepts 1-256 characters A-Z, a-z, 0-9, _ and -
+    if (!env.WEBHOOK_SECRET || !/^[A-Za-z0-9_-]{1,256}$/.test(env.WEBHOOK_SECRET)) {
+      console.error('❌ WEBHOOK_SECRET is missing or invalid');
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'WEBHOOK_SECRET must be set to 1-256 characters (A-Z, a-z, 0-9, _ and -)',
+        timestamp: new Date().toISOString()
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
     
-  } catch (error) {
-    console.error(`❌ Error handling private message ${message?.message_id}:`, error);
-  }
-}
-
-/**
- * Detect if a message is a cross-channel reply
- */
-async function detectCrossChannelReply(message, env) {
-  const result = {
-    isCrossChannel: false,
-    isExternal: false,
-    channelInfo: {},
-    replyType: 'none'
-  };
-  
-  // Get current chat info to check for linked channels
-  const currentChatInfo = await getChatInfo(message.chat.id, env);
-  
-  // Case 1: External reply (direct reply from channel to group)
-  if (message.external_reply && message.external_reply.chat) {
-    const externalChat = message.external_reply.chat;
-    
-    if (externalChat.type === 'channel') {
-      result.isCrossChannel = true;
-      result.replyType = 'external_reply';
-      result.channelInfo = {
-        id: externalChat.id,
-        title: externalChat.title || 'Unknown Channel',
-        username: externalChat.username || null
-      };
-      
-      // Check if it's a linked channel
-      if (currentChatInfo && isLinkedChannel(currentChatInfo, externalChat.id)) {
-        result.isExternal = false; // It's a linked channel, allow it
-        console.log(`Message ${message.message_id} is reply to LINKED channel ${externalChat.title}`);
-      } else {
-        result.isExternal = true; // It's an external channel, block it
-        console.log(`Message ${message.message_id} is reply to EXTERNAL channel ${externalChat.title}`);
-      }
-      
-      return result;
-    }
-  }
-  
-  // Case 2: Reply to a message in the group
-  if (!message.reply_to_message) {
-    return result;
-  }
-  
-  const replyToMessage = message.reply_to_message;
-  
-  // Case 2a: Reply to a message forwarded from a channel
-  if (replyToMessage.forward_from_chat && replyToMessage.forward_from_chat.type === 'channel') {
-    const forwardChat = replyToMessage.forward_from_chat;
-    result.isCrossChannel = true;
-    result.replyType = 'forward_from_channel';
-    result.channelInfo = {
-      id: forwardChat.id,
-      title: forwardChat.title || 'Unknown Channel',
-      username: forwardChat.username || null
-    };
+    // Pending updates are dropped unless ?drop_pending_updates=false is given
+    const dropPendingUpdates = url.searchParams.get('drop_pending_updates') !== 'false';
     
-    // Check if it's a linked channel
-    if (currentChatInfo && isLinkedChannel(currentChatInfo, forwardChat.id)) {
-      result.isExternal = false;
-      console.log(`Message ${message.message_id} replies to message forwarded from LINKED channel ${forwardChat.title}`);
-    } else {
-      result.isExternal = true;
-      console.log(`Message ${message.message_id} replies to message forwarded from EXTERNAL channel ${forwardChat.title}`);
-    }
+    console.log(`🔧 Setting up webhook to: ${webhookUrl}`);
     
-    return result;
-  }
-  
-  // Case 2b: Reply to a message sent by a channel
-  if (replyToMessage.sender_chat && replyToMessage.sender_chat.type === 'channel') {
-    const senderChat = replyToMessage.sender_chat;
-    result.isCrossChannel = true;
-    result.replyType = 'sender_chat_channel';
-    result.channelInfo = {
-      id: senderChat.id,
-      title: senderChat.title || 'Unknown Channel',
-      username: senderChat.username || null
-    };
+    // Use our robust API request function
+    const result = await makeApiRequest('setWebhook', {
+      url: webhookUrl,
+      secret_token: env.WEBHOOK_SECRET, // Sent back in X-Telegram-Bot-Api-Secret-Token
+      allowed_updates: Object.keys(UPDATE_HANDLERS),
+      drop_pending_updates: dropPendingUpdates,
+      max_connections: 40 // Optimize for Cloudflare Workers
+    }, env);
     
-    // Check if it's a linked channel
-    if (currentChatInfo && isLinkedChannel(currentChatInfo, senderChat.id)) {
-      result.isExternal = false;
-      console.log(`Message ${message.message_id} replies to message from LINKED channel ${senderChat.title}`);
+    if (result !== null) {
+      console.log(`✅ Webhook set successfully to ${webhookUrl}`);
+      await storagePut('webhook_url', webhookUrl, env);
+      const commandsRegistered = await registerBotCommands(env);
+      return new Response(JSON.stringify({
+        success: true,
+        message: `Webhook set successfully to ${webhookUrl}`,
+        allowedUpdates: Object.keys(UPDATE_HANDLERS),
+        droppedPendingUpdates: dropPendingUpdates,
+        commandsRegistered,
+        timestamp: new Date().toISOString()
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
     } else {
-      result.isExternal = true;
-      console.log(`Message ${message.message_id} replies to message from EXTERNAL channel ${senderChat.title}`);
+      console.error(`❌ Failed to set webhook to ${webhookUrl}`);
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Failed to set webhook',
+        timestamp: new Date().toISOString()
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
     
-    return result;
-  }
-  
-  // Case 2c: Reply to a forwarded message with hidden origin
-  if (replyToMessage.forward_sender_name || replyToMessage.forward_date) {
-    result.isCrossChannel = true;
-    result.isExternal = true; // Hidden forwards are considered external
-    result.replyType = 'hidden_forward';
-    result.channelInfo = {
-      id: null,
-      title: replyToMessage.forward_sender_name || 'Hidden Source',
-      username: null
-    };
-    
-    console.log(`Message ${message.message_id} replies to forwarded message with HIDDEN origin`);
-    return result;
-  }
-  
-  // Case 2d: Reply to a message with channel signature
-  if (replyToMessage.forward_signature) {
-    result.isCrossChannel = true;
-    result.isExternal = true; // Signed forwards are considered external
-    result.replyType = 'channel_signature';
-    result.channelInfo = {
-      id: null,
-      title: `Channel (signature: ${replyToMessage.forward_signature})`,
-      username: null
-    };
-    
-    console.log(`Message ${message.message_id} replies to message with channel signature: ${replyToMessage.forward_signature}`);
-    return result;
+  } catch (error) {
+    console.error(`❌ Error setting webhook:`, error);
+    return new Response(JSON.stringify({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
-  
-  return result;
-}
-
-/**
- * Check if a channel is linked to the current chat
- */
-function isLinkedChannel(groupChat, channelChatId) {
-  // Check if the group has a linked channel and it matches the channel ID
-  return groupChat.linked_chat_id && groupChat.linked_chat_id === channelChatId;
 }
 
 /**
- * Make API request to Telegram Bot API with retry logic and timeout
- * @param {string} method - API method name
- * @param {Object} params - Parameters for the API call
+ * Report the webhook state from getWebhookInfo
+ * @param {Request} request - The HTTP request
  * @param {Object} env - Environment variables
- * @param {number} retryCount - Current retry attempt (for internal use)
- * @returns {Promise<Object|null>} API response data or null if failed
+ * @returns {Promise<Response>} HTTP response
  */
-async function makeApiRequest(method, params = {}, env, retryCount = 0) {
-  const url = `${CONFIG.TELEGRAM_API_URL}${env.BOT_TOKEN}/${method}`;
-  
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(params),
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    
-    if (data.ok) {
-      return data.result;
-    } else {
-      console.warn(`⚠️ Telegram API error for ${method}:`, data);
-      
-      // Retry on specific error codes
-      if (retryCount < CONFIG.MAX_RETRIES && isRetryableError(data.error_code)) {
-        const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff
-        console.log(`🔄 Retrying ${method} in ${delay}ms (attempt ${retryCount + 1}/${CONFIG.MAX_RETRIES})`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return makeApiRequest(method, params, env, retryCount + 1);
-      }
-      
-      return null;
-    }
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error(`⏰ Request timeout for ${method}`);
-    } else {
-      console.error(`❌ Network error for ${method}:`, error);
-    }
-
-    // Retry on network errors
-    if (retryCount < CONFIG.MAX_RETRIES) {
-      const delay = Math.pow(2, retryCount) * 1000;
-      console.log(`🔄 Retrying ${method} in ${delay}ms (attempt ${retryCount + 1}/${CONFIG.MAX_RETRIES})`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return makeApiRequest(method, params, env, retryCount + 1);
-    }
+async function getWebhookStatus(request, env) {
+  const url = new URL(request.url);
+  const info = await makeApiRequest('getWebhookInfo', {}, env);
 
-    return null;
+  if (!info) {
+    return jsonResponse({ success: false, error: 'Failed to get webhook info' }, 502);
   }
-}
 
-/**
- * Check if an error code is retryable
- * @param {number} errorCode - Telegram API error code
- * @returns {boolean} Whether the error is retryable
- */
-function isRetryableError(errorCode) {
-  // Retry on rate limiting and temporary server errors
-  return [429, 502, 503, 504].includes(errorCode);
+  return jsonResponse({
+    success: true,
+    url: info.url || null,
+    expectedUrl: `${url.protocol}//${url.host}/webhook`,
+    pendingUpdateCount: info.pending_update_count,
+    lastErrorDate: info.last_error_date ? new Date(info.last_error_date * 1000).toISOString() : null,
+    lastErrorMessage: info.last_error_message || null,
+    allowedUpdates: info.allowed_updates || null,
+    expectedAllowedUpdates: Object.keys(UPDATE_HANDLERS),
+    maxConnections: info.max_connections || null,
+    ipAddress: info.ip_address || null
+  });
 }
 
 /**
- * Get chat information with caching and retry logic
- * @param {number|string} chatId - Telegram chat ID
+ * Remove the webhook with deleteWebhook
+ * Pending updates are kept unless ?drop_pending_updates=true is given.
+ * @param {Request} request - The HTTP request
  * @param {Object} env - Environment variables
- * @returns {Promise<Object|null>} Chat information or null if failed
+ * @returns {Promise<Response>} HTTP response
  */
-async function getChatInfo(chatId, env) {
-  const cacheKey = `chat_${chatId}`;
-  const now = Date.now();
+async function teardownWebhook(request, env) {
+  const dropPendingUpdates = new URL(request.url).searchParams.get('drop_pending_updates') === 'true';
+  const result = await makeApiRequest('deleteWebhook', { drop_pending_updates: dropPendingUpdates }, env);
 
-  // Check cache first
-  if (chatInfoCache.has(cacheKey)) {
-    const cached = chatInfoCache.get(cacheKey);
-    if (now - cached.timestamp < CONFIG.CACHE_TTL) {
-      console.debug(`📋 Using cached chat info for ${chatId}`);
-      return cached.data;
-    } else {
-      chatInfoCache.delete(cacheKey);
-    }
+  if (result === null) {
+    console.error('❌ Failed to delete webhook');
+    return jsonResponse({ success: false, error: 'Failed to delete webhook' }, 502);
   }
 
-  try {
-    const chatInfo = await makeApiRequest('getChat', { chat_id: chatId }, env);
-    
-    if (chatInfo) {
-      // Cache successful result
-      chatInfoCache.set(cacheKey, {
-        data: chatInfo,
-        timestamp: now
-      });
-      console.debug(`💾 Cached chat info for ${chatId}`);
-    }
-    
-    return chatInfo;
-  } catch (error) {
-    console.error(`❌ Error getting chat info for ${chatId}:`, error);
-    return null;
-  }
+  console.log(`🧹 Webhook deleted${dropPendingUpdates ? ' and pending updates dropped' : ''}`);
+  await storageDelete('webhook_url', env);
+  return jsonResponse({ success: true, message: 'Webhook deleted', droppedPendingUpdates: dropPendingUpdates });
 }
 
 /**
- * Delete cross-channel reply message and send warning with improved error handling
- * @param {Object} message - Telegram message object
+ * Check the bot and its webhook at most every CONFIG.SELF_CHECK_INTERVAL
+ * The result is kept as `self_check` for /health; OWNER_CHAT_ID is alerted when
+ * the set of problems changes, including when everything is back to normal.
  * @param {Object} env - Environment variables
- * @param {ExecutionContext} ctx - Execution context
- * @param {boolean} isEdited - Whether this is an edited message
  * @returns {Promise<void>}
  */
-async function deleteCrossChannelReply(message, env, ctx, isEdited = false) {
-  const chatId = message.chat.id;
-  const messageId = message.message_id;
-  
+async function runSelfCheck(env) {
   try {
-    console.log(`🗑️ Deleting cross-channel reply message ${messageId} in chat ${chatId}`);
-    
-    // Delete the original message using our robust API function
-    const deleteResult = await makeApiRequest('deleteMessage', {
-      chat_id: chatId,
-      message_id: messageId
-    }, env);
-    
-    if (deleteResult !== null) {
-      console.log(`✅ Successfully deleted cross-channel reply message ${messageId} in chat ${chatId}`);
-      
-      // Send warning message
-      await sendWarningMessage(chatId, env, ctx, isEdited);
-    } else {
-      console.error(`❌ Failed to delete message ${messageId} in chat ${chatId}`);
-      // Still send warning even if deletion failed (user should know their message violates rules)
-      await sendWarningMessage(chatId, env, ctx, isEdited);
+    const previous = await storageGet('self_check', env);
+    if (previous && Date.now() - Date.parse(previous.checkedAt) < CONFIG.SELF_CHECK_INTERVAL) {
+      return;
     }
-    
-  } catch (error) {
-    console.error(`❌ Error deleting cross-channel reply message ${messageId}:`, error);
-  }
-}
 
-/**
- * Send warning message with reliable auto-deletion using ctx.waitUntil
- * @param {number|string} chatId - Telegram chat ID
- * @param {Object} env - Environment variables
- * @param {ExecutionContext} ctx - Execution context
- * @param {boolean} isEdited - Whether this is for an edited message
- * @returns {Promise<void>}
- */
-async function sendWarningMessage(chatId, env, ctx, isEdited = false) {
-  try {
-    console.log(`📨 Sending warning message to chat ${chatId}`);
-    
-    // Send warning message using our robust API function
-    const result = await makeApiRequest('sendMessage', {
-      chat_id: chatId,
-      text: CONFIG.WARNING_MESSAGE_TEXT,
-      parse_mode: 'HTML'
-    }, env);
-    
-    if (result && result.message_id) {
-      const warningMessageId = result.message_id;
-      console.log(`✅ Sent warning message ${warningMessageId} in chat ${chatId}`);
-      
-      // Schedule deletion using ctx.waitUntil for reliable execution
-      const deletionPromise = scheduleMessageDeletion(chatId, warningMessageId, env, CONFIG.WARNING_AUTO_DELETE_DELAY);
-      ctx.waitUntil(deletionPromise);
-      
+    const result = await checkBotHealth(env);
+    await storagePut('self_check', result, env);
+
+    const previousCodes = previous ? previous.problems.map(problem => problem.code).join() : '';
+    const currentCodes = result.problems.map(problem => problem.code).join();
+    if (currentCodes) {
+      console.warn(`🩺 Self-check found problems: ${currentCodes}`);
     } else {
-      console.error(`❌ Failed to send warning message to chat ${chatId}`);
+      console.debug('🩺 Self-check passed');
     }
-    
+    if (currentCodes === previousCodes || !env.OWNER_CHAT_ID) {
+      return;
+    }
+
+    const lang = CONFIG.DEFAULT_LANGUAGE;
+    const text = currentCodes
+      ? t(lang, 'self_check_alert', { problems: result.problems.map(problem => t(lang, `check_${problem.code}`, problem.params)).join('\n') })
+      : t(lang, 'self_check_recovered');
+    await makeApiRequest('sendMessage', { chat_id: env.OWNER_CHAT_ID, text, disable_web_page_preview: true }, env);
   } catch (error) {
-    console.error(`❌ Error sending warning message to chat ${chatId}:`, error);
+    console.error('❌ Error running self-check:', error);
   }
 }
 
 /**
- * Delete warning message with improved error handling
- * @param {number|string} chatId - Telegram chat ID
- * @param {number} messageId - Message ID to delete
+ * Check the bot token and the webhook state reported by Telegram
+ * The expected webhook URL is WEBHOOK_URL if set, otherwise the URL last set by
+ * /setup; without either (e.g. after /teardown) the URL is not checked.
  * @param {Object} env - Environment variables
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} Check result ({ ok, checkedAt, problems, ... })
  */
-async function deleteWarningMessage(chatId, messageId, env) {
-  try {
-    console.log(`🗑️ Auto-deleting warning message ${messageId} in chat ${chatId}`);
-    
-    const result = await makeApiRequest('deleteMessage', {
-      chat_id: chatId,
-      message_id: messageId
-    }, env);
-    
-    if (result !== null) {
-      console.log(`✅ Successfully auto-deleted warning message ${messageId} in chat ${chatId}`);
-    } else {
-      // This is expected behavior - the message might have been deleted manually
-      console.debug(`🔍 Warning message ${messageId} may have been already deleted in chat ${chatId}`);
+async function checkBotHealth(env) {
+  const [botInfo, info] = await Promise.all([
+    makeApiRequest('getMe', {}, env),
+    makeApiRequest('getWebhookInfo', {}, env)
+  ]);
+  const expectedUrl = env.WEBHOOK_URL || await storageGet('webhook_url', env);
+  const problems = [];
+
+  if (!botInfo) {
+    problems.push({ code: 'get_me_failed' });
+  }
+  if (!info) {
+    problems.push({ code: 'webhook_info_failed' });
+  } else {
+    if (expectedUrl && !info.url) {
+      problems.push({ code: 'webhook_missing', params: { expected: expectedUrl } });
+    } else if (expectedUrl && info.url !== expectedUrl) {
+      problems.push({ code: 'webhook_url_mismatch', params: { url: info.url, expected: expectedUrl } });
+    }
+    if (info.pending_update_count > CONFIG.SELF_CHECK_MAX_PENDING) {
+      problems.push({ code: 'pending_updates', params: { count: info.pending_update_count } });
+    }
+    if (info.last_error_date && Date.now() - info.last_error_date * 1000 < CONFIG.SELF_CHECK_ERROR_WINDOW) {
+      problems.push({
+        code: 'webhook_error',
+        params: { date: new Date(info.last_error_date * 1000).toISOString(), message: info.last_error_message || '' }
+      });
     }
-    
-  } catch (error) {
-    // Log as debug since this is often expected (manual deletion, message not found, etc.)
-    console.debug(`🔍 Warning message ${messageId} deletion issue in chat ${chatId}:`, error.message);
   }
+
+  return {
+    ok: problems.length === 0,
+    checkedAt: new Date().toISOString(),
+    bot: botInfo ? botInfo.username : null,
+    webhookUrl: info ? info.url || null : null,
+    expectedWebhookUrl: expectedUrl || null,
+    pendingUpdateCount: info ? info.pending_update_count : null,
+    lastErrorDate: info && info.last_error_date ? new Date(info.last_error_date * 1000).toISOString() : null,
+    lastErrorMessage: info ? info.last_error_message || null : null,
+    problems
+  };
 }
 
 /**
- * Schedule message deletion using Promise-based delay with improved error handling
- * Note: While this uses setTimeout, ctx.waitUntil() ensures it completes even after response
- * @param {number|string} chatId - Telegram chat ID
- * @param {number} messageId - Message ID to delete
+ * List the groups the bot is in, from the registry kept by handleMyChatMember
  * @param {Object} env - Environment variables
- * @param {number} delayMs - Delay in milliseconds before deletion
- * @returns {Promise<void>}
+ * @returns {Promise<Response>} HTTP response
  */
-async function scheduleMessageDeletion(chatId, messageId, env, delayMs) {
-  try {
-    console.log(`⏰ Scheduling deletion of message ${messageId} in ${delayMs}ms`);
-    
-    // Create a promise that resolves after the specified delay
-    await new Promise(resolve => setTimeout(resolve, delayMs));
-    
-    // Delete the message
-    await deleteWarningMessage(chatId, messageId, env);
-  } catch (error) {
-    console.error(`❌ Error in scheduled deletion for message ${messageId}:`, error);
-  }
+async function listGroups(env) {
+  const keys = await storageList('group:', env);
+  const groups = (await Promise.all(keys.map(key => storageGet(key, env)))).filter(Boolean);
+
+  return jsonResponse({
+    success: true,
+    count: groups.length,
+    missingRights: groups.filter(group => group.missingRights.length > 0).length,
+    groups
+  });
 }
 
 /**
- * Setup webhook endpoint with improved security and error handling
- * @param {Request} request - The HTTP request
- * @param {Object} env - Environment variables
- * @returns {Promise<Response>} HTTP response
+ * Build a JSON response with a timestamp
+ * @param {Object} body - Response body
+ * @param {number} [status=200] - HTTP status
+ * @returns {Response} HTTP response
  */
-async function setupWebhook(request, env) {
-  try {
-    const url = new URL(request.url);
-    const webhookUrl = `${url.protocol}//${url.host}/webhook`;
-    
-    console.log(`🔧 Setting up webhook to: ${webhookUrl}`);
-    
-    // Use our robust API request function
-    const result = await makeApiRequest('setWebhook', {
-      url: webhookUrl,
-      allowed_updates: ['message', 'edited_message'],
-      drop_pending_updates: true, // Clear any pending updates
-      max_connections: 40 // Optimize for Cloudflare Workers
-    }, env);
-    
-    if (result !== null) {
-      console.log(`✅ Webhook set successfully to ${webhookUrl}`);
-      return new Response(JSON.stringify({
-        success: true,
-        message: `Webhook set successfully to ${webhookUrl}`,
-        timestamp: new Date().toISOString()
-      }), {
-        status: 200,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    } else {
-      console.error(`❌ Failed to set webhook to ${webhookUrl}`);
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Failed to set webhook',
-        timestamp: new Date().toISOString()
-      }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
-    
-  } catch (error) {
-    console.error(`❌ Error setting webhook:`, error);
-    return new Response(JSON.stringify({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
-  }
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify({ ...body, timestamp: new Date().toISOString() }), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
 }